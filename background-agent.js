@@ -1,7 +1,7 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
-const fs = require('fs-extra');
 const winston = require('winston');
 require('dotenv').config();
 
@@ -12,6 +12,56 @@ const MetalsCollector = require('./collectors/metals-collector');
 const ConsumerGoodsCollector = require('./collectors/consumer-goods-collector');
 const LuxuryCollector = require('./collectors/luxury-collector');
 const RealEstateCollector = require('./collectors/real-estate-collector');
+const TechnologyCollector = require('./collectors/technology-collector');
+const FxCollector = require('./collectors/fx-collector');
+const { createStorage } = require('./storage');
+const { INTERVALS, AGGREGATIONS, getBucketStart, aggregatePoints } = require('./lib/aggregation');
+const { RetentionManager, loadRetentionPolicy } = require('./lib/retention');
+const { ItemRegistry, validateItem } = require('./lib/item-registry');
+const { SourceReliability } = require('./lib/source-reliability');
+const { CollectionScheduler } = require('./lib/scheduler');
+const { httpClient } = require('./lib/http-client');
+const { PriceStream } = require('./lib/price-stream');
+const { AlertEngine } = require('./lib/alerts');
+const { createChannels } = require('./lib/alert-channels');
+const { PushNotifier } = require('./lib/push-notifier');
+const { PortfolioManager, validatePortfolio, validateHolding, valuePortfolio, buildValueSeries } = require('./lib/portfolios');
+const { CSV_COLUMNS, validateTransaction, buildLedger, summarizeRealized, transactionFromCsv } = require('./lib/ledger');
+const { parseCsvRecords, formatCsvRow } = require('./lib/csv');
+const { BASE_CURRENCY, FxRates, convertPoints } = require('./lib/fx');
+const { HistoryBackfill } = require('./lib/backfill');
+const { parseTimestamp, parseHistoryFile, HistoryImport } = require('./lib/history-import');
+const { EXPORT_FORMATS, toExportRow, createExportWriter } = require('./lib/history-export');
+const { UNITS, convertUnitPrice, validateUnitPreference, getDisplayUnit, convertPointUnits } = require('./lib/units');
+
+// Collector implementations, keyed by the `collector` name used in config/items.json
+const COLLECTOR_TYPES = {
+  crypto: CryptoCollector,
+  stocks: StockCollector,
+  metals: MetalsCollector,
+  consumer: ConsumerGoodsCollector,
+  luxury: LuxuryCollector,
+  realestate: RealEstateCollector,
+  technology: TechnologyCollector,
+  fx: FxCollector
+};
+
+// Default bucket size of a portfolio's value history for each period
+const PORTFOLIO_INTERVALS = { '1H': '5m', '1D': '1h', '1W': '1h', '1M': '1d', '3M': '1d', '1Y': '1w', 'ALL': '1w' };
+
+// Categories whose long-term gains are reported as collectibles
+const COLLECTIBLE_CATEGORIES = (process.env.COLLECTIBLE_CATEGORIES || 'Luxury Watches,Collectibles')
+  .split(',').map(category => category.trim()).filter(Boolean);
+
+// How far before a period the exchange-rate history reaches, so its first points have a rate
+const FX_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+
+// Exports read each symbol's history a window at a time. Four weeks keeps a window of raw points
+// small, and windows start on week boundaries so no candle of any interval spans two of them.
+const EXPORT_WINDOW = 28 * 24 * 60 * 60 * 1000;
+
+// Static files of the dashboard; see setupServer()
+const DASHBOARD_FILES = ['index.html', 'price-tracker-historical.html', 'sw.js'];
 
 // Configure logging
 const logger = winston.createLogger({
@@ -36,60 +86,384 @@ class UniversalPriceAgent {
     this.port = process.env.PORT || 3001;
     this.dataStore = new Map();
     this.lastUpdate = new Map();
-    this.updateHistory = new Map();
+    this.storage = null;
+    this.retention = null;
     this.isUpdating = false;
+
+    // Pushes every new price to dashboard clients over SSE and WebSocket
+    this.priceStream = new PriceStream(logger, () => this.getPriceSnapshot());
+
+    // Web Push to browsers, for alerts and updates while the dashboard is closed
+    this.push = new PushNotifier(logger);
+    this.away = null;
+
+    // Alert rules, checked after every collection run
+    this.alerts = new AlertEngine(
+      logger,
+      createChannels({ publish: event => this.priceStream.publishAlert(event), push: this.push }),
+      (symbol, from) => this.getHistorySince(symbol, from)
+    );
+
+    // Holdings valued against the collected prices
+    this.portfolios = new PortfolioManager(logger);
     
-    // Initialize collectors
-    this.collectors = {
-      crypto: new CryptoCollector(logger),
-      stocks: new StockCollector(logger),
-      metals: new MetalsCollector(logger),
-      consumer: new ConsumerGoodsCollector(logger),
-      luxury: new LuxuryCollector(logger),
-      realestate: new RealEstateCollector(logger)
-    };
+    // Load tracked items and build a collector for each type from them
+    this.registry = new ItemRegistry(logger);
+    this.registry.load();
+
+    // Source weights learned from each source's track record, shared by all collectors
+    this.sourceReliability = new SourceReliability(logger);
+
+    // Latest exchange rates, kept current from the FX collector's items
+    this.fx = new FxRates();
+
+    this.collectors = {};
+    Object.entries(COLLECTOR_TYPES).forEach(([name, Collector]) => {
+      this.collectors[name] = new Collector(logger, this.registry.getItemsForCollector(name));
+      this.collectors[name].useReliability(this.sourceReliability, name);
+      this.collectors[name].useFx(this.fx);
+    });
+
+    this.registry.getItems()
+      .filter(item => item.collector && !COLLECTOR_TYPES[item.collector])
+      .forEach(item => logger.warn(`Unknown collector "${item.collector}" for ${item.symbol}`));
     
     this.setupServer();
-    this.loadStoredData();
+    this.storageReady = this.loadStoredData();
+    this.storageReady.then(() => this.collectMissingRates());
     this.startScheduledUpdates();
+
+    if (process.env.CRYPTO_STREAMING === 'true') {
+      this.startCryptoStreaming();
+    }
   }
 
   setupServer() {
     this.app.use(cors());
+    // History files run far larger than other bodies and are parsed by the importer, JSON included
+    this.app.use('/api/history/import', express.text({ type: ['text/csv', 'text/plain', 'application/json'], limit: '50mb' }));
     this.app.use(express.json());
     
     // API Routes
     this.app.get('/api/prices', (req, res) => {
+      // A repeated parameter arrives as an array, which is no currency
+      const requested = req.query.currency || BASE_CURRENCY;
+      const currency = typeof requested === 'string' ? requested.toUpperCase() : null;
+      const rate = this.fx.getRate(currency);
+      if (rate === null) {
+        return res.status(400).json({ error: `Invalid currency, expected one of: ${this.fx.getCurrencies().join(', ')}` });
+      }
+
+      const unitErrors = req.query.units ? validateUnitPreference(req.query.units) : [];
+      if (unitErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid units', details: unitErrors });
+      }
+
       const prices = {};
+      const conditions = {};
+      const units = {};
       this.dataStore.forEach((value, key) => {
-        prices[key] = value.currentPrice;
+        prices[key] = value.currentPrice / rate;
+        // Items priced per a unit of measure, converted to the requested display unit
+        const item = this.registry.getItem(key);
+        if (item && item.priceUnit) {
+          units[key] = getDisplayUnit(item.priceUnit, req.query.units);
+          prices[key] = convertUnitPrice(prices[key], item.priceUnit, units[key]);
+        }
+        // Item condition (new/used/refurbished) prices, reported by the technology collector
+        if (value.conditions) {
+          conditions[key] = Object.fromEntries(Object.entries(value.conditions)
+            .map(([condition, data]) => [condition, { ...data, price: data.price / rate }]));
+        }
       });
       res.json({
         prices,
+        conditions,
+        currency,
+        units,
         lastUpdate: Math.max(...Array.from(this.lastUpdate.values())),
         totalItems: this.dataStore.size
       });
     });
 
-    this.app.get('/api/historical/:symbol', (req, res) => {
-      const { symbol } = req.params;
-      const { period = '1W' } = req.query;
-      
-      const data = this.getHistoricalData(symbol, period);
+    this.app.get('/api/stream', (req, res) => this.priceStream.handleSse(req, res));
+
+    this.app.get('/api/fx', (req, res) => {
       res.json({
-        symbol,
-        period,
-        data,
-        dataPoints: data.length
+        ...this.fx.getStatus(),
+        currencies: this.fx.getCurrencies()
       });
     });
 
+    this.app.get('/api/items', (req, res) => {
+      res.json({
+        items: this.registry.getItems(),
+        categories: this.registry.getCategories(),
+        collectors: Object.keys(COLLECTOR_TYPES),
+        units: UNITS
+      });
+    });
+
+    this.app.post('/api/items', async (req, res, next) => {
+      try {
+        const item = req.body;
+        const errors = this.validateItemDefinition(item);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid item', details: errors });
+        }
+        if (this.registry.getItem(item.symbol)) {
+          return res.status(409).json({ error: `Item ${item.symbol} already exists` });
+        }
+
+        const added = this.registry.setItem(item);
+        await this.registry.save();
+        this.registerItem(added);
+
+        logger.info(`Added item ${added.symbol}`);
+        res.status(201).json({ item: added });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.patch('/api/items/:symbol', async (req, res, next) => {
+      try {
+        const { symbol } = req.params;
+        const existing = this.registry.getItem(symbol);
+        if (!existing) {
+          return res.status(404).json({ error: `Item ${symbol} not found` });
+        }
+        if (req.body.symbol && req.body.symbol !== symbol) {
+          return res.status(400).json({ error: 'Symbol cannot be changed' });
+        }
+
+        const item = { ...existing, ...req.body, symbol };
+        const errors = this.validateItemDefinition(item);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid item', details: errors });
+        }
+
+        this.unregisterItem(existing);
+        const updated = this.registry.setItem(item);
+        await this.registry.save();
+        this.registerItem(updated);
+
+        logger.info(`Updated item ${symbol}`);
+        res.json({ item: updated });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.delete('/api/items/:symbol', async (req, res, next) => {
+      try {
+        const { symbol } = req.params;
+        const existing = this.registry.getItem(symbol);
+        if (!existing) {
+          return res.status(404).json({ error: `Item ${symbol} not found` });
+        }
+
+        this.unregisterItem(existing);
+        this.registry.removeItem(symbol);
+        await this.registry.save();
+
+        // Stored history is kept so the item can be re-added later
+        this.dataStore.delete(symbol);
+        this.lastUpdate.delete(symbol);
+
+        logger.info(`Removed item ${symbol}`);
+        res.json({ success: true, symbol });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.get('/api/historical/:symbol', async (req, res, next) => {
+      try {
+        const { symbol } = req.params;
+        const { period = '1W', interval, agg = 'ohlc', detail } = req.query;
+        const requested = req.query.currency || BASE_CURRENCY;
+        const currency = typeof requested === 'string' ? requested.toUpperCase() : null;
+
+        if (interval && !INTERVALS[interval]) {
+          return res.status(400).json({ error: `Invalid interval, expected one of: ${Object.keys(INTERVALS).join(', ')}` });
+        }
+        if (!AGGREGATIONS.includes(agg)) {
+          return res.status(400).json({ error: `Invalid agg, expected one of: ${AGGREGATIONS.join(', ')}` });
+        }
+        if (detail && detail !== 'sources') {
+          return res.status(400).json({ error: 'Invalid detail, expected: sources' });
+        }
+        if (detail && interval) {
+          return res.status(400).json({ error: 'detail=sources returns raw points and cannot be combined with interval' });
+        }
+        if (this.fx.getRate(currency) === null) {
+          return res.status(400).json({ error: `Invalid currency, expected one of: ${this.fx.getCurrencies().join(', ')}` });
+        }
+        const unitErrors = req.query.units ? validateUnitPreference(req.query.units) : [];
+        if (unitErrors.length > 0) {
+          return res.status(400).json({ error: 'Invalid units', details: unitErrors });
+        }
+        
+        let points = detail
+          ? await this.getSourceDetail(symbol, period)
+          : await this.getHistoricalData(symbol, period);
+        // Convert before aggregating so each point uses the rate of its own time
+        if (currency !== BASE_CURRENCY) {
+          points = convertPoints(points, await this.getRateHistory(currency, this.getPeriodStart(period)));
+        }
+        const item = this.registry.getItem(symbol);
+        const priceUnit = item && item.priceUnit ? item.priceUnit : null;
+        const unit = getDisplayUnit(priceUnit, req.query.units);
+        if (unit !== priceUnit) {
+          points = convertPointUnits(points, priceUnit, unit);
+        }
+        const data = interval ? aggregatePoints(points, { interval, agg }) : points;
+        res.json({
+          symbol,
+          period,
+          currency,
+          unit,
+          interval: interval || null,
+          agg: interval ? agg : null,
+          detail: detail || null,
+          data,
+          dataPoints: data.length
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Merges a history file into storage: the dashboard's export, a JSON array of records, or a price
+    // or OHLC CSV. Nothing is imported if any record is rejected.
+    this.app.post('/api/history/import', async (req, res, next) => {
+      try {
+        await this.storageReady;
+        if (!this.storage) {
+          return res.status(503).json({ error: 'Storage is not available' });
+        }
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+          return res.status(400).json({ error: 'Send the history as a JSON or text/csv body' });
+        }
+
+        const { format, records, errors } = parseHistoryFile(req.body);
+        const unknown = new Set(records.map(record => record.symbol).filter(symbol => !this.registry.getItem(symbol)));
+        unknown.forEach(symbol => errors.push(`${symbol}: not a tracked item; add it before importing its history`));
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid history', details: errors });
+        }
+        if (records.length === 0) {
+          return res.status(400).json({ error: 'The file holds no prices' });
+        }
+
+        const result = await new HistoryImport(logger, this.storage, this.retention).run(records);
+        // History from another machine may be newer than anything collected here
+        for (const symbol of Object.keys(result.symbols)) {
+          await this.loadLatest(symbol);
+        }
+        await this.storage.flush();
+        // Imported hours are rolled into days now rather than at the next scheduled compaction
+        await this.compactData();
+
+        logger.info(`Imported ${result.imported} prices from a ${format} file (${result.duplicates} duplicates skipped)`);
+        res.json({ format, ...result });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Streams stored history for notebooks and spreadsheets: ?format=csv|ndjson|xlsx, filtered by
+    // symbols, categories, from/to (to is exclusive) and optionally rolled into interval candles
+    this.app.get('/api/export', async (req, res, next) => {
+      try {
+        const { format = 'csv', interval } = req.query;
+        if (!EXPORT_FORMATS[format]) {
+          return res.status(400).json({ error: `Invalid format, expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        if (interval && !INTERVALS[interval]) {
+          return res.status(400).json({ error: `Invalid interval, expected one of: ${Object.keys(INTERVALS).join(', ')}` });
+        }
+
+        const list = value => value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : null;
+        const symbols = list(req.query.symbols);
+        const categories = list(req.query.categories);
+        const from = req.query.from ? parseTimestamp(req.query.from) : 0;
+        const to = req.query.to ? parseTimestamp(req.query.to) : Date.now() + 1;
+
+        const errors = [];
+        (symbols || []).filter(symbol => !this.registry.getItem(symbol))
+          .forEach(symbol => errors.push(`unknown symbol ${symbol}`));
+        (categories || []).filter(category => !this.registry.getCategories().includes(category))
+          .forEach(category => errors.push(`unknown category ${category}, expected one of: ${this.registry.getCategories().join(', ')}`));
+        if (!Number.isFinite(from)) errors.push('from must be a date or epoch time');
+        if (!Number.isFinite(to)) errors.push('to must be a date or epoch time');
+        if (from >= to) errors.push('from must be before to');
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid export', details: errors });
+        }
+
+        await this.storageReady;
+        if (!this.storage) {
+          return res.status(503).json({ error: 'Storage is not available' });
+        }
+
+        const items = this.registry.getItems()
+          .filter(item => (!symbols || symbols.includes(item.symbol)) && (!categories || categories.includes(item.category)));
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="price-history-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        const writer = createExportWriter(format, res);
+        let rows = 0;
+
+        for (const item of items) {
+          const first = await this.storage.getFirstTimestamp(item.symbol);
+          if (first === null) continue;
+
+          for (const [start, end] of this.getExportWindows(Math.max(from, first), to, interval)) {
+            if (closed) break;
+            const resolution = interval || (this.retention ? this.retention.selectTier(start) : 'raw');
+            const points = await this.getHistoryRange(item.symbol, start, end - 1);
+            const data = interval ? aggregatePoints(points, { interval }) : points;
+
+            await writer.write(data.map(point => toExportRow(item.symbol, point, resolution)));
+            rows += data.length;
+          }
+        }
+
+        if (closed) {
+          logger.warn(`Export cancelled by the client after ${rows} rows`);
+          return;
+        }
+        await writer.end();
+        logger.info(`Exported ${rows} ${format} rows for ${items.length} items`);
+      } catch (error) {
+        if (!res.headersSent) return next(error);
+        // Too late for an error response; cut the download short so it is not mistaken for complete
+        logger.error('Export failed:', error);
+        res.destroy(error);
+      }
+    });
+
     this.app.get('/api/status', (req, res) => {
       res.json({
         status: 'running',
-        isUpdating: this.isUpdating,
+        isUpdating: this.isUpdating || this.scheduler.isCollecting(),
         lastUpdate: Math.max(...Array.from(this.lastUpdate.values())),
         trackedItems: this.dataStore.size,
+        storage: this.storage ? this.storage.name : null,
+        retention: this.retention ? this.retention.getStatus() : null,
+        schedules: this.scheduler.getStatus(),
+        http: httpClient.getStatus(),
+        downSources: this.getDownSources(),
+        alerts: this.alerts.getStatus(),
+        push: { subscriptions: this.push.getStatus().subscriptions },
+        portfolios: this.portfolios.getStatus(),
+        fx: { base: BASE_CURRENCY, currencies: this.fx.getCurrencies() },
+        streamClients: this.priceStream.getStatus(),
         collectors: Object.keys(this.collectors).map(key => ({
           name: key,
           status: this.collectors[key].getStatus()
@@ -97,6 +471,443 @@ class UniversalPriceAgent {
       });
     });
 
+    this.app.get('/api/alerts', (req, res) => {
+      res.json({
+        alerts: this.alerts.getRules(),
+        channels: this.alerts.getStatus().channels
+      });
+    });
+
+    this.app.get('/api/alerts/events', (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      res.json({ events: this.alerts.getEvents(limit) });
+    });
+
+    this.app.get('/api/alerts/:id', (req, res) => {
+      const alert = this.alerts.getRule(req.params.id);
+      if (!alert) {
+        return res.status(404).json({ error: `Alert ${req.params.id} not found` });
+      }
+      res.json({ alert });
+    });
+
+    this.app.post('/api/alerts', async (req, res, next) => {
+      try {
+        const errors = this.validateAlertDefinition(req.body);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid alert', details: errors });
+        }
+
+        const alert = this.alerts.setRule(req.body);
+        await this.alerts.save();
+
+        logger.info(`Added ${alert.type} alert ${alert.id} for ${alert.symbol}`);
+        res.status(201).json({ alert });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.patch('/api/alerts/:id', async (req, res, next) => {
+      try {
+        const existing = this.alerts.getRule(req.params.id);
+        if (!existing) {
+          return res.status(404).json({ error: `Alert ${req.params.id} not found` });
+        }
+
+        const rule = { ...existing, ...req.body };
+        const errors = this.validateAlertDefinition(rule);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid alert', details: errors });
+        }
+
+        const alert = this.alerts.setRule(rule, existing);
+        await this.alerts.save();
+
+        logger.info(`Updated alert ${alert.id}`);
+        res.json({ alert });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.delete('/api/alerts/:id', async (req, res, next) => {
+      try {
+        if (!this.alerts.removeRule(req.params.id)) {
+          return res.status(404).json({ error: `Alert ${req.params.id} not found` });
+        }
+        await this.alerts.save();
+
+        logger.info(`Removed alert ${req.params.id}`);
+        res.json({ success: true, id: req.params.id });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.get('/api/push/key', (req, res) => {
+      const publicKey = this.push.getPublicKey();
+      if (!publicKey) {
+        return res.status(503).json({ error: 'Push notifications are not ready yet' });
+      }
+      res.json({ publicKey });
+    });
+
+    this.app.post('/api/push/subscriptions', async (req, res, next) => {
+      try {
+        const errors = this.push.validate(req.body);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid subscription', details: errors });
+        }
+        if (!this.push.canSubscribe(req.body.endpoint)) {
+          return res.status(409).json({ error: `At most ${this.push.maxSubscriptions} browsers can subscribe to push notifications` });
+        }
+
+        const created = await this.push.subscribe(req.body);
+        if (created) logger.info('Browser subscribed to push notifications');
+        res.status(created ? 201 : 200).json({ success: true });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.delete('/api/push/subscriptions', async (req, res, next) => {
+      try {
+        const endpoint = req.body && req.body.endpoint;
+        if (!endpoint) {
+          return res.status(400).json({ error: 'endpoint is required' });
+        }
+        if (!(await this.push.unsubscribe(endpoint))) {
+          return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.get('/api/portfolios', (req, res) => {
+      res.json({
+        portfolios: this.portfolios.getPortfolios().map(portfolio => {
+          const { marketValue, costBasis, unrealizedPnl, unrealizedPnlPercent } = this.valuePortfolio(portfolio);
+          return { ...portfolio, marketValue, costBasis, unrealizedPnl, unrealizedPnlPercent };
+        })
+      });
+    });
+
+    this.app.get('/api/portfolios/:id', (req, res) => {
+      const portfolio = this.portfolios.getPortfolio(req.params.id);
+      if (!portfolio) {
+        return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+      }
+
+      const ledger = this.getLedger(portfolio);
+      res.json({
+        portfolio,
+        valuation: this.valuePortfolio(portfolio, ledger),
+        realized: summarizeRealized(ledger.realized),
+        fees: ledger.fees
+      });
+    });
+
+    this.app.get('/api/portfolios/:id/history', async (req, res, next) => {
+      try {
+        const portfolio = this.portfolios.getPortfolio(req.params.id);
+        if (!portfolio) {
+          return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+        }
+
+        const { period = '1M' } = req.query;
+        const interval = req.query.interval || PORTFOLIO_INTERVALS[period] || '1d';
+        if (!INTERVALS[interval]) {
+          return res.status(400).json({ error: `Invalid interval, expected one of: ${Object.keys(INTERVALS).join(', ')}` });
+        }
+
+        const data = await this.getPortfolioHistory(portfolio, period, interval);
+        res.json({ id: portfolio.id, period, interval, data, dataPoints: data.length });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.post('/api/portfolios', async (req, res, next) => {
+      try {
+        const errors = this.validatePortfolioDefinition(req.body);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid portfolio', details: errors });
+        }
+
+        const portfolio = this.portfolios.setPortfolio(req.body);
+        await this.portfolios.save();
+
+        logger.info(`Added portfolio ${portfolio.id} (${portfolio.name})`);
+        res.status(201).json({ portfolio });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.patch('/api/portfolios/:id', async (req, res, next) => {
+      try {
+        const existing = this.portfolios.getPortfolio(req.params.id);
+        if (!existing) {
+          return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+        }
+
+        const definition = { ...existing, ...req.body };
+        const errors = this.validatePortfolioDefinition(definition);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid portfolio', details: errors });
+        }
+
+        const portfolio = this.portfolios.setPortfolio(definition, existing);
+        await this.portfolios.save();
+
+        logger.info(`Updated portfolio ${portfolio.id}`);
+        res.json({ portfolio });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.delete('/api/portfolios/:id', async (req, res, next) => {
+      try {
+        if (!this.portfolios.removePortfolio(req.params.id)) {
+          return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+        }
+        await this.portfolios.save();
+
+        logger.info(`Removed portfolio ${req.params.id}`);
+        res.json({ success: true, id: req.params.id });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.post('/api/portfolios/:id/holdings', async (req, res, next) => {
+      try {
+        const portfolio = this.portfolios.getPortfolio(req.params.id);
+        if (!portfolio) {
+          return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+        }
+
+        const errors = this.validateHoldingDefinition(req.body);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid holding', details: errors });
+        }
+
+        const holding = this.portfolios.addHolding(portfolio, req.body);
+        await this.portfolios.save();
+
+        logger.info(`Added ${holding.symbol} holding to portfolio ${portfolio.id}`);
+        res.status(201).json({ holding });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.patch('/api/portfolios/:id/holdings/:holdingId', async (req, res, next) => {
+      try {
+        const portfolio = this.portfolios.getPortfolio(req.params.id);
+        const existing = portfolio && this.portfolios.getHolding(portfolio, req.params.holdingId);
+        if (!existing) {
+          return res.status(404).json({ error: `Holding ${req.params.holdingId} not found` });
+        }
+
+        const definition = { ...existing, ...req.body };
+        const errors = this.validateHoldingDefinition(definition);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid holding', details: errors });
+        }
+
+        const holding = this.portfolios.updateHolding(portfolio, existing, definition);
+        await this.portfolios.save();
+
+        logger.info(`Updated holding ${holding.id} in portfolio ${portfolio.id}`);
+        res.json({ holding });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.delete('/api/portfolios/:id/holdings/:holdingId', async (req, res, next) => {
+      try {
+        const portfolio = this.portfolios.getPortfolio(req.params.id);
+        if (!portfolio || !this.portfolios.removeHolding(portfolio, req.params.holdingId)) {
+          return res.status(404).json({ error: `Holding ${req.params.holdingId} not found` });
+        }
+        await this.portfolios.save();
+
+        logger.info(`Removed holding ${req.params.holdingId} from portfolio ${portfolio.id}`);
+        res.json({ success: true, id: req.params.holdingId });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.get('/api/portfolios/:id/transactions', (req, res) => {
+      const portfolio = this.portfolios.getPortfolio(req.params.id);
+      if (!portfolio) {
+        return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+      }
+
+      const transactions = portfolio.transactions.slice().sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+      res.json({ transactions });
+    });
+
+    this.app.post('/api/portfolios/:id/transactions', async (req, res, next) => {
+      try {
+        const portfolio = this.portfolios.getPortfolio(req.params.id);
+        if (!portfolio) {
+          return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+        }
+
+        const errors = this.validateTransactionDefinition(req.body);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid transaction', details: errors });
+        }
+
+        const transaction = this.portfolios.toTransaction(req.body);
+        const ledgerErrors = this.getLedger(portfolio, [...portfolio.transactions, transaction]).errors;
+        if (ledgerErrors.length > 0) {
+          return res.status(400).json({ error: 'Transaction does not fit the ledger', details: ledgerErrors });
+        }
+
+        this.portfolios.addTransactions(portfolio, [transaction]);
+        await this.portfolios.save();
+
+        logger.info(`Recorded ${transaction.type} in portfolio ${portfolio.id}`);
+        res.status(201).json({ transaction });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Trades from a spreadsheet, sent as the text/csv body; all rows are imported or none
+    this.app.post('/api/portfolios/:id/transactions/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res, next) => {
+      try {
+        const portfolio = this.portfolios.getPortfolio(req.params.id);
+        if (!portfolio) {
+          return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+        }
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+          return res.status(400).json({ error: 'Send the trades as a text/csv body' });
+        }
+
+        const records = parseCsvRecords(req.body);
+        const missing = ['date', 'type'].filter(column => records.length > 0 && !(column in records[0]));
+        if (records.length === 0 || missing.length > 0) {
+          return res.status(400).json({ error: `CSV needs a header row and at least one trade; columns: ${CSV_COLUMNS.join(', ')}` });
+        }
+
+        const errors = [];
+        const transactions = records.map((record, index) => {
+          const transaction = transactionFromCsv(record);
+          // Row 1 is the header
+          this.validateTransactionDefinition(transaction).forEach(error => errors.push(`row ${index + 2}: ${error}`));
+          return transaction;
+        });
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid transactions', details: errors });
+        }
+
+        const prepared = transactions.map(transaction => this.portfolios.toTransaction(transaction));
+        const ledgerErrors = this.getLedger(portfolio, [...portfolio.transactions, ...prepared]).errors;
+        if (ledgerErrors.length > 0) {
+          return res.status(400).json({ error: 'Transactions do not fit the ledger', details: ledgerErrors });
+        }
+
+        this.portfolios.addTransactions(portfolio, prepared);
+        await this.portfolios.save();
+
+        logger.info(`Imported ${prepared.length} transactions into portfolio ${portfolio.id}`);
+        res.status(201).json({ imported: prepared.length, transactions: prepared });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.delete('/api/portfolios/:id/transactions/:transactionId', async (req, res, next) => {
+      try {
+        const { transactionId } = req.params;
+        const portfolio = this.portfolios.getPortfolio(req.params.id);
+        if (!portfolio || !portfolio.transactions.some(transaction => transaction.id === transactionId)) {
+          return res.status(404).json({ error: `Transaction ${transactionId} not found` });
+        }
+
+        // A buy cannot go while later sales still draw from its lot
+        const remaining = portfolio.transactions.filter(transaction => transaction.id !== transactionId);
+        const ledgerErrors = this.getLedger(portfolio, remaining).errors;
+        if (ledgerErrors.length > 0) {
+          return res.status(409).json({ error: 'Removing this transaction would break the ledger', details: ledgerErrors });
+        }
+
+        this.portfolios.removeTransaction(portfolio, transactionId);
+        await this.portfolios.save();
+
+        logger.info(`Removed transaction ${transactionId} from portfolio ${portfolio.id}`);
+        res.json({ success: true, id: transactionId });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.app.get('/api/portfolios/:id/report', (req, res) => {
+      const portfolio = this.portfolios.getPortfolio(req.params.id);
+      if (!portfolio) {
+        return res.status(404).json({ error: `Portfolio ${req.params.id} not found` });
+      }
+
+      const { year, format = 'json' } = req.query;
+      if (year && !/^\d{4}$/.test(year)) {
+        return res.status(400).json({ error: 'Invalid year, expected YYYY' });
+      }
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid format, expected one of: json, csv' });
+      }
+
+      const inYear = date => !year || new Date(date).getUTCFullYear() === parseInt(year, 10);
+      const ledger = this.getLedger(portfolio);
+      const realized = ledger.realized.filter(entry => inYear(entry.soldAt));
+
+      if (format === 'csv') {
+        const cents = value => value.toFixed(2);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="realized-gains-${year || 'all'}.csv"`);
+        res.write(formatCsvRow(['symbol', 'lot', 'quantity', 'acquired', 'sold', 'holding_days', 'term', 'collectible', 'proceeds', 'cost_basis', 'gain']));
+        realized.forEach(entry => res.write(formatCsvRow([
+          entry.symbol, entry.lotId, entry.quantity, entry.acquiredAt, entry.soldAt, entry.holdingDays, entry.term,
+          entry.collectible ? 'yes' : 'no', cents(entry.proceeds), cents(entry.costBasis), cents(entry.gain)
+        ])));
+        return res.end();
+      }
+
+      res.json({
+        id: portfolio.id,
+        name: portfolio.name,
+        year: year ? parseInt(year, 10) : null,
+        lotMethod: portfolio.lotMethod,
+        summary: summarizeRealized(realized),
+        fees: portfolio.transactions
+          .filter(transaction => transaction.type === 'fee' && inYear(transaction.date))
+          .reduce((sum, transaction) => sum + transaction.amount, 0),
+        realized,
+        lots: ledger.lots
+      });
+    });
+
+    this.app.get('/api/sources', (req, res) => {
+      const { collector } = req.query;
+      if (collector && !this.collectors[collector]) {
+        return res.status(400).json({ error: `collector must be one of: ${Object.keys(this.collectors).join(', ')}` });
+      }
+
+      const sources = this.sourceReliability.getReport()
+        .filter(entry => !collector || entry.collector === collector);
+
+      res.json({ sources });
+    });
+
     this.app.post('/api/update', async (req, res) => {
       if (this.isUpdating) {
         return res.status(429).json({ error: 'Update already in progress' });
@@ -111,89 +922,210 @@ class UniversalPriceAgent {
       }
     });
 
+    // The dashboard, served from the agent's origin so its service worker can register
+    DASHBOARD_FILES.forEach(file => {
+      this.app.get(file === 'index.html' ? ['/', '/index.html'] : `/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+      });
+    });
+
     // Error handling
     this.app.use((err, req, res, next) => {
       logger.error('Express error:', err);
       res.status(500).json({ error: 'Internal server error' });
     });
 
-    this.app.listen(this.port, () => {
+    this.server = this.app.listen(this.port, () => {
       logger.info(`Universal Price Agent running on port ${this.port}`);
     });
+    this.priceStream.attach(this.server);
+  }
+
+  validateItemDefinition(item) {
+    const errors = validateItem(item);
+    if (item && item.collector && !COLLECTOR_TYPES[item.collector]) {
+      errors.push(`collector must be one of: ${Object.keys(COLLECTOR_TYPES).join(', ')}`);
+    }
+    if (item && item.collector === 'fx' && !item.baseCurrency) {
+      errors.push('baseCurrency is required for fx items');
+    }
+    return errors;
+  }
+
+  validateAlertDefinition(rule) {
+    const errors = this.alerts.validate(rule);
+    if (rule && typeof rule.symbol === 'string' && !this.registry.getItem(rule.symbol)) {
+      errors.push(`symbol ${rule.symbol} is not a tracked item`);
+    }
+    return errors;
+  }
+
+  validatePortfolioDefinition(portfolio) {
+    const errors = validatePortfolio(portfolio);
+    if (errors.length === 0 && portfolio.holdings) {
+      portfolio.holdings.forEach((holding, index) => {
+        if (!this.registry.getItem(holding.symbol)) {
+          errors.push(`holdings[${index}]: symbol ${holding.symbol} is not a tracked item`);
+        }
+      });
+    }
+    return errors;
+  }
+
+  validateTransactionDefinition(transaction) {
+    const errors = validateTransaction(transaction);
+    if (transaction && typeof transaction.symbol === 'string' && !this.registry.getItem(transaction.symbol)) {
+      errors.push(`symbol ${transaction.symbol} is not a tracked item`);
+    }
+    return errors;
+  }
+
+  validateHoldingDefinition(holding) {
+    const errors = validateHolding(holding);
+    if (holding && typeof holding.symbol === 'string' && !this.registry.getItem(holding.symbol)) {
+      errors.push(`symbol ${holding.symbol} is not a tracked item`);
+    }
+    return errors;
+  }
+
+  // Hot-register an item so the next update cycle collects it
+  registerItem(item) {
+    const collector = this.collectors[item.collector];
+    if (collector) {
+      collector.addItem(item);
+      this.scheduler.sync();
+    }
+  }
+
+  unregisterItem(item) {
+    const collector = this.collectors[item.collector];
+    if (collector) {
+      collector.removeItem(item.symbol);
+      this.scheduler.sync();
+    }
   }
 
   async loadStoredData() {
+    await this.sourceReliability.load();
+    await this.alerts.load();
+    await this.push.load();
+    await this.portfolios.load();
+
     try {
-      const dataPath = './data/historical-data.json';
-      if (await fs.pathExists(dataPath)) {
-        const data = await fs.readJson(dataPath);
-        
-        Object.entries(data).forEach(([symbol, history]) => {
-          this.updateHistory.set(symbol, history);
-          if (history.length > 0) {
-            const latest = history[history.length - 1];
-            this.dataStore.set(symbol, {
-              currentPrice: latest.price,
-              timestamp: latest.timestamp,
-              source: latest.source || 'stored',
-              verified: latest.verified || false
-            });
-            this.lastUpdate.set(symbol, latest.timestamp);
-          }
-        });
-        
-        logger.info(`Loaded historical data for ${this.dataStore.size} items`);
+      this.storage = await createStorage(logger);
+      this.retention = new RetentionManager(this.storage, logger);
+      logger.info(`Using ${this.storage.name} storage`);
+
+      const symbols = await this.storage.getSymbols();
+      for (const symbol of symbols) {
+        await this.loadLatest(symbol);
       }
+      
+      logger.info(`Loaded historical data for ${this.dataStore.size} items`);
     } catch (error) {
       logger.error('Failed to load stored data:', error);
     }
+
+    // Catch up on rollups missed while the agent was stopped
+    if (this.retention) {
+      await this.retention.compact();
+    }
+  }
+
+  // Takes the newest stored point as the current price unless a newer one is already known
+  async loadLatest(symbol) {
+    const latest = await this.storage.getLatest(symbol);
+    if (!latest || latest.timestamp <= (this.lastUpdate.get(symbol) || 0)) return;
+
+    this.dataStore.set(symbol, {
+      currentPrice: latest.price,
+      timestamp: latest.timestamp,
+      source: latest.source || 'stored',
+      verified: latest.verified || false
+    });
+    this.lastUpdate.set(symbol, latest.timestamp);
+    this.trackRate(symbol, latest.price, latest.timestamp);
+  }
+
+  // Quotes in other currencies are skipped until their rate is known, so rates missing from storage
+  // (first run, or a currency just added) are collected now rather than at the next FX run
+  async collectMissingRates() {
+    const missing = Object.values(this.collectors.fx.items)
+      .filter(item => item.baseCurrency && this.fx.getRate(item.baseCurrency) === null)
+      .map(item => item.symbol);
+    if (missing.length === 0) return;
+
+    logger.info(`Collecting missing exchange rates: ${missing.join(', ')}`);
+    await this.scheduler.collect('fx', missing);
+  }
+
+  // Keeps the current rate of an FX item's currency
+  trackRate(symbol, price, timestamp) {
+    const item = this.registry.getItem(symbol);
+    if (item && item.collector === 'fx' && item.baseCurrency) {
+      this.fx.setRate(item.baseCurrency, price, timestamp, symbol);
+    }
+  }
+
+  // Stored history of a currency's rate from a little before `from`; the current rate alone when
+  // there is none yet
+  async getRateHistory(currency, from) {
+    const symbol = this.fx.getSymbol(currency);
+    const history = symbol ? await this.getHistorySince(symbol, from - FX_LOOKBACK) : [];
+    return history.length > 0 ? history : [{ timestamp: from, price: this.fx.getRate(currency) }];
+  }
+
+  async compactData() {
+    await this.storageReady;
+    if (!this.retention) return;
+
+    await this.retention.compact();
   }
 
   async saveData() {
     try {
-      await fs.ensureDir('./data');
-      const dataToSave = {};
-      
-      this.updateHistory.forEach((history, symbol) => {
-        // Keep only last 1000 data points per symbol to manage storage
-        dataToSave[symbol] = history.slice(-1000);
-      });
-      
-      await fs.writeJson('./data/historical-data.json', dataToSave, { spaces: 2 });
+      await this.storageReady;
+      if (!this.storage) return;
+
+      await this.storage.flush();
+      await this.sourceReliability.save();
       logger.info('Data saved successfully');
     } catch (error) {
       logger.error('Failed to save data:', error);
     }
   }
 
-  startScheduledUpdates() {
-    // Update every 5 minutes during market hours
-    cron.schedule('*/5 * * * *', async () => {
-      const now = new Date();
-      const hour = now.getHours();
-      
-      // More frequent updates during typical market hours (6 AM - 10 PM EST)
-      if (hour >= 6 && hour <= 22) {
-        await this.updateAllPrices();
+  async closeStorage() {
+    try {
+      if (this.storage) {
+        await this.storage.close();
       }
-    });
+    } catch (error) {
+      logger.error('Failed to close storage:', error);
+    }
+  }
 
-    // Full update every hour during off-hours
-    cron.schedule('0 * * * *', async () => {
-      const now = new Date();
-      const hour = now.getHours();
-      
-      // Less frequent updates during off-hours
-      if (hour < 6 || hour > 22) {
-        await this.updateAllPrices();
-      }
+  startScheduledUpdates() {
+    // Each collector runs on its own cadence and trading calendar (see lib/scheduler.js)
+    // Scheduled runs, manual updates and catch-up runs all go through it, so an item is never collected twice at once
+    this.scheduler = new CollectionScheduler(logger, this.collectors, async (category, symbols) => {
+      const startTime = Date.now();
+      const counts = await this.runCollector(category, symbols);
+      logger.info(`${category} update completed: ${counts.successCount} success, ${counts.errorCount} errors in ${Date.now() - startTime}ms`);
+      return counts;
     });
+    this.scheduler.sync();
 
     // Save data every 15 minutes
     cron.schedule('*/15 * * * *', async () => {
       await this.saveData();
     });
 
+    // Roll up and prune history every hour
+    cron.schedule('10 * * * *', async () => {
+      await this.compactData();
+    });
+
     logger.info('Scheduled updates started');
   }
 
@@ -211,25 +1143,12 @@ class UniversalPriceAgent {
     try {
       logger.info('Starting price update cycle');
 
-      // Update each category in parallel for efficiency
-      const updatePromises = Object.entries(this.collectors).map(async ([category, collector]) => {
-        try {
-          const results = await collector.collectData();
-          
-          results.forEach(result => {
-            if (result.success && result.price && result.price > 0) {
-              this.updateItemData(result.symbol, result.price, result.source, result.verified);
-              successCount++;
-            } else {
-              logger.warn(`Failed to update ${result.symbol}: ${result.error}`);
-              errorCount++;
-            }
-          });
-          
-        } catch (error) {
-          logger.error(`Collector ${category} failed:`, error);
-          errorCount++;
-        }
+      // Update each category in parallel for efficiency; items a scheduled run is collecting are skipped
+      const updatePromises = Object.keys(this.collectors).map(async category => {
+        const counts = await this.scheduler.collect(category);
+        if (!counts) return;
+        successCount += counts.successCount;
+        errorCount += counts.errorCount;
       });
 
       await Promise.all(updatePromises);
@@ -244,43 +1163,260 @@ class UniversalPriceAgent {
     }
   }
 
-  updateItemData(symbol, price, source, verified = false) {
-    const timestamp = Date.now();
-    
-    // Update current data
+  // Collect one category (optionally only some of its items) and store the results
+  async runCollector(category, symbols) {
+    const collector = this.collectors[category];
+    let successCount = 0;
+    let errorCount = 0;
+
+    try {
+      const results = await collector.collectData(symbols);
+      const collectedAt = Date.now();
+
+      for (const result of results) {
+        if (result.success && result.price && result.price > 0) {
+          await this.updateItemData(result.symbol, result.price, result.source, result.verified, {
+            condition: result.condition,
+            conditions: result.conditions
+          }, this.getProvenance(result));
+          successCount++;
+        } else {
+          logger.warn(`Failed to update ${result.symbol}: ${result.error}`);
+          errorCount++;
+        }
+      }
+
+      await this.alerts.evaluate(results, collectedAt);
+      await this.sendAwayDigest(successCount);
+
+    } catch (error) {
+      logger.error(`Collector ${category} failed:`, error);
+      errorCount++;
+    }
+
+    return { successCount, errorCount };
+  }
+
+  // Live crypto prices from the Binance trade stream between scheduled runs. Ticks update the
+  // current price only; history gets one point per 1-minute candle. Binance quotes in USDT, so
+  // nothing is taken from the stream until there is a USDT rate.
+  startCryptoStreaming() {
+    this.collectors.crypto.startStreaming({
+      onPrice: (symbol, price, timestamp) => {
+        const converted = this.fx.toBase(price, 'USDT');
+        if (converted !== null) this.updateLivePrice(symbol, converted, 'Binance (live)', timestamp);
+      },
+      onCandle: (symbol, candle) => {
+        const rate = this.fx.getRate('USDT');
+        if (rate !== null) this.storeStreamCandle(symbol, candle, rate);
+      }
+    });
+    logger.info('Crypto streaming enabled');
+  }
+
+  updateLivePrice(symbol, price, source, timestamp = Date.now()) {
     this.dataStore.set(symbol, {
       currentPrice: price,
       timestamp,
       source,
-      verified
+      verified: false
     });
-    
+
     this.lastUpdate.set(symbol, timestamp);
-    
-    // Add to history
-    if (!this.updateHistory.has(symbol)) {
-      this.updateHistory.set(symbol, []);
+    this.priceStream.publish({ symbol, ...this.toPriceUpdate(this.dataStore.get(symbol)) });
+  }
+
+  // `candle` is in USDT and stored as received; `rate` converts its close to the stored price
+  async storeStreamCandle(symbol, candle, rate) {
+    await this.storageReady;
+    if (!this.storage) return;
+
+    try {
+      await this.storage.append(symbol, {
+        price: candle.close * rate,
+        timestamp: candle.timestamp,
+        source: 'Binance (stream)',
+        verified: false,
+        provenance: {
+          quotes: [{ source: 'Binance', price: candle.close * rate, currency: 'USDT', nativePrice: candle.close }],
+          rejected: [],
+          variance: 0,
+          sources: 1,
+          candle
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to store stream candle for ${symbol}:`, error);
     }
+  }
+
+  // What the stream sends for a symbol, in the snapshot and on every update
+  toPriceUpdate(data) {
+    return {
+      price: data.currentPrice,
+      timestamp: data.timestamp,
+      source: data.source,
+      verified: data.verified,
+      conditions: data.conditions
+    };
+  }
+
+  getPriceSnapshot() {
+    const prices = {};
+    this.dataStore.forEach((data, symbol) => {
+      prices[symbol] = this.toPriceUpdate(data);
+    });
+    return prices;
+  }
+
+  // While no dashboard is connected, sends subscribed browsers a summary of what was collected,
+  // at most every PUSH_DIGEST_HOURS
+  async sendAwayDigest(updates, now = Date.now()) {
+    const clients = this.priceStream.getStatus();
+    if (clients.sse + clients.websocket > 0) {
+      this.away = null;
+      return;
+    }
+
+    if (!this.away) {
+      this.away = { since: now, updates: 0, lastDigest: now };
+    }
+    this.away.updates += updates;
+
+    const interval = (parseFloat(process.env.PUSH_DIGEST_HOURS) || 6) * 60 * 60 * 1000;
+    if (this.away.updates === 0 || now - this.away.lastDigest < interval) return;
+
+    try {
+      const hours = Math.round((now - this.away.since) / (60 * 60 * 1000));
+      await this.push.send({
+        title: 'Data collected while you were away',
+        body: `${this.away.updates} price updates in the last ${hours}h`,
+        tag: 'away-digest'
+      });
+      this.away.updates = 0;
+      this.away.lastDigest = now;
+    } catch (error) {
+      logger.warn('Failed to send away digest:', error.message);
+    }
+  }
+
+  // Lots, realized gains and positions from the portfolio's transactions (or a candidate set of them)
+  getLedger(portfolio, transactions = portfolio.transactions) {
+    return buildLedger(transactions, {
+      method: portfolio.lotMethod,
+      isCollectible: symbol => {
+        const item = this.registry.getItem(symbol);
+        return Boolean(item && COLLECTIBLE_CATEGORIES.includes(item.category));
+      }
+    });
+  }
+
+  // Holdings entered directly plus the lots still open in the ledger
+  getHoldings(portfolio, ledger = this.getLedger(portfolio)) {
+    return portfolio.holdings.concat(ledger.lots.map(lot => ({
+      id: lot.id,
+      symbol: lot.symbol,
+      quantity: lot.quantity,
+      costBasis: lot.costBasis,
+      acquiredAt: lot.acquiredAt,
+      lot: true
+    })));
+  }
+
+  valuePortfolio(portfolio, ledger) {
+    return valuePortfolio(
+      { holdings: this.getHoldings(portfolio, ledger) },
+      symbol => this.dataStore.has(symbol) ? this.dataStore.get(symbol).currentPrice : null,
+      symbol => {
+        const item = this.registry.getItem(symbol);
+        return item ? item.category : 'Untracked';
+      }
+    );
+  }
+
+  // Value of the portfolio over the period, starting no earlier than the first acquisition. Positions
+  // from the ledger count while they were held, including lots sold since.
+  async getPortfolioHistory(portfolio, period, interval) {
+    const holdings = portfolio.holdings.concat(this.getLedger(portfolio).positions);
+    if (holdings.length === 0) return [];
+
+    const firstAcquired = Math.min(...holdings.map(holding => Date.parse(holding.acquiredAt)));
+    const from = Math.max(this.getPeriodStart(period), getBucketStart(firstAcquired, interval));
+
+    const histories = {};
+    for (const symbol of new Set(holdings.map(holding => holding.symbol))) {
+      histories[symbol] = await this.getHistorySince(symbol, from);
+    }
+
+    return buildValueSeries(holdings, histories, interval);
+  }
+
+  // Sources whose circuit is not closed, across all collectors, longest-down first
+  getDownSources() {
+    const down = [];
+    Object.entries(this.collectors).forEach(([collector, instance]) => {
+      Object.entries(instance.breakers).forEach(([source, breaker]) => {
+        if (breaker.state !== 'closed') {
+          down.push({ collector, source, ...breaker.getStatus() });
+        }
+      });
+    });
+    return down.sort((a, b) => a.downSince - b.downSince);
+  }
+
+  // What went into a consolidated price, stored with the point for auditing
+  getProvenance(result) {
+    return {
+      quotes: (result.quotes || []).map(({ source, price, currency, unit, nativePrice, reliability, prior, condition }) => ({
+        source,
+        price,
+        currency,
+        unit,
+        nativePrice,
+        reliability,
+        prior,
+        condition
+      })),
+      rejected: result.rejected || [],
+      variance: result.variance,
+      sources: result.sources
+    };
+  }
+
+  async updateItemData(symbol, price, source, verified = false, metadata = {}, provenance = null) {
+    const timestamp = Date.now();
     
-    const history = this.updateHistory.get(symbol);
-    history.push({
-      price,
+    // Update current data
+    this.dataStore.set(symbol, {
+      currentPrice: price,
       timestamp,
       source,
-      verified
+      verified,
+      ...metadata
     });
     
-    // Keep only recent data (last 1000 points)
-    if (history.length > 1000) {
-      history.splice(0, history.length - 1000);
+    this.lastUpdate.set(symbol, timestamp);
+    this.trackRate(symbol, price, timestamp);
+    this.priceStream.publish({ symbol, ...this.toPriceUpdate(this.dataStore.get(symbol)) });
+    
+    // Add to history
+    await this.storageReady;
+    if (!this.storage) return;
+
+    try {
+      await this.storage.append(symbol, {
+        price,
+        timestamp,
+        source,
+        verified,
+        provenance
+      });
+    } catch (error) {
+      logger.error(`Failed to store data point for ${symbol}:`, error);
     }
   }
 
-  getHistoricalData(symbol, period = '1W') {
-    const history = this.updateHistory.get(symbol) || [];
-    if (history.length === 0) return [];
-
-    const now = Date.now();
+  getPeriodStart(period, now = Date.now()) {
     let cutoffTime;
 
     switch (period) {
@@ -302,32 +1438,177 @@ class UniversalPriceAgent {
       case '1Y':
         cutoffTime = now - (365 * 24 * 60 * 60 * 1000);
         break;
+      case 'ALL':
+        cutoffTime = 0;
+        break;
       default:
         cutoffTime = now - (7 * 24 * 60 * 60 * 1000); // Default to 1 week
     }
 
-    return history
-      .filter(point => point.timestamp >= cutoffTime)
-      .map(point => ({
-        price: point.price,
-        timestamp: point.timestamp,
-        verified: point.verified || false
-      }));
+    return cutoffTime;
+  }
+
+  // Raw points with the per-source quotes behind each price. Only raw points carry provenance,
+  // so this reaches back as far as raw retention does.
+  async getSourceDetail(symbol, period = '1W') {
+    await this.storageReady;
+    if (!this.storage) return [];
+
+    const history = await this.storage.query(symbol, { from: this.getPeriodStart(period), provenance: true });
+    return history.map(point => ({
+      price: point.price,
+      timestamp: point.timestamp,
+      verified: point.verified || false,
+      source: point.source,
+      provenance: point.provenance || null
+    }));
+  }
+
+  // Splits [from, to) into export windows. Besides the EXPORT_WINDOW steps, a window starts where a
+  // finer retention tier takes over, so each window is read from a single tier and recent history comes
+  // out at full resolution; those starts are rounded up to a bucket of `interval` as well.
+  getExportWindows(from, to, interval, now = Date.now()) {
+    const policy = this.retention ? this.retention.policy : [];
+    const tierStarts = policy.slice(0, -1).map((tier, index) => {
+      const next = policy[index + 1].interval;
+      const bucket = interval && INTERVALS[interval] > INTERVALS[next] ? interval : next;
+      return getBucketStart(now - tier.maxAge, bucket) + INTERVALS[bucket];
+    });
+
+    const windows = [];
+    for (let start = from; start < to;) {
+      const end = Math.min(getBucketStart(start, '1w') + EXPORT_WINDOW, to, ...tierStarts.filter(tierStart => tierStart > start));
+      windows.push([start, end]);
+      start = end;
+    }
+    return windows;
+  }
+
+  async getHistoricalData(symbol, period = '1W') {
+    return this.getHistorySince(symbol, this.getPeriodStart(period));
+  }
+
+  async getHistorySince(symbol, cutoffTime) {
+    return this.getHistoryRange(symbol, cutoffTime);
+  }
+
+  // History from `cutoffTime` through `to` (inclusive)
+  async getHistoryRange(symbol, cutoffTime, to = Number.MAX_SAFE_INTEGER) {
+    await this.storageReady;
+    if (!this.storage) return [];
+
+    const now = Date.now();
+
+    const toPoint = point => ({
+      price: point.price,
+      timestamp: point.timestamp,
+      verified: point.verified || false
+    });
+
+    // Use the finest retention tier that still covers the whole period
+    const tier = this.retention ? this.retention.selectTier(cutoffTime, now) : 'raw';
+    if (tier === 'raw') {
+      const history = await this.storage.query(symbol, { from: cutoffTime, to });
+      return history.map(toPoint);
+    }
+
+    const candles = await this.storage.queryCandles(symbol, tier, { from: getBucketStart(cutoffTime, tier), to });
+
+    // Raw points newer than the last rollup have not been compacted yet
+    const lastCandle = candles[candles.length - 1];
+    const recent = await this.storage.query(symbol, {
+      from: lastCandle ? lastCandle.timestamp + INTERVALS[tier] : cutoffTime,
+      to
+    });
+
+    return candles
+      .map(candle => ({
+        price: candle.close,
+        timestamp: candle.timestamp,
+        verified: candle.verifiedRatio >= 0.5,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        mean: candle.mean,
+        count: candle.count,
+        verifiedRatio: candle.verifiedRatio,
+        // Set on days seeded by the backfill command
+        ...(candle.source ? { source: candle.source } : {})
+      }))
+      .concat(recent.map(toPoint));
   }
 }
 
-// Start the agent
-const agent = new UniversalPriceAgent();
+// Seeds history from providers that publish past prices, then exits:
+//   node background-agent.js backfill [SYMBOL ...] [--days=N] [--force]
+async function runBackfill(args) {
+  const symbols = args.filter(arg => !arg.startsWith('--'));
+  const daysArg = args.find(arg => arg.startsWith('--days='));
+  const force = args.includes('--force');
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('Shutting down gracefully...');
-  await agent.saveData();
-  process.exit(0);
-});
+  // Days older than the daily tier keeps would be pruned by the next compaction
+  const dailyRetention = loadRetentionPolicy().find(tier => tier.interval === '1d').maxAge / (24 * 60 * 60 * 1000);
+  const days = Math.min(parseInt(daysArg ? daysArg.split('=')[1] : process.env.BACKFILL_DAYS, 10) || 3650, dailyRetention);
+
+  const registry = new ItemRegistry(logger);
+  registry.load();
+
+  const unknown = symbols.filter(symbol => !registry.getItem(symbol));
+  if (unknown.length > 0) {
+    logger.error(`Unknown symbols: ${unknown.join(', ')}`);
+    return 1;
+  }
+
+  const collectors = {};
+  Object.entries(COLLECTOR_TYPES).forEach(([name, Collector]) => {
+    collectors[name] = new Collector(logger, registry.getItemsForCollector(name));
+  });
+  const items = registry.getItems().filter(item => symbols.length === 0 || symbols.includes(item.symbol));
+
+  const storage = await createStorage(logger);
+  const backfill = new HistoryBackfill(logger, storage);
+  await backfill.load();
+
+  try {
+    logger.info(`Backfilling ${days} days of history for ${symbols.length > 0 ? symbols.join(', ') : 'all items'}`);
+    const results = await backfill.run(collectors, items, { days, force });
 
-process.on('SIGINT', async () => {
-  logger.info('Shutting down gracefully...');
-  await agent.saveData();
-  process.exit(0);
-});
\ No newline at end of file
+    results.filter(result => result.skipped)
+      .forEach(result => logger.info(`${result.symbol} was already backfilled from ${result.source} (use --force to run it again)`));
+    results.filter(result => result.error)
+      .forEach(result => logger.warn(`No history for ${result.symbol}: ${result.error}`));
+
+    const written = results.reduce((sum, result) => sum + result.written, 0);
+    logger.info(`Backfill completed: ${written} days written for ${results.filter(result => result.written > 0).length} items`);
+    return 0;
+  } catch (error) {
+    logger.error('Backfill failed:', error);
+    return 1;
+  } finally {
+    await storage.flush();
+    await storage.close();
+  }
+}
+
+if (process.argv[2] === 'backfill') {
+  runBackfill(process.argv.slice(3)).then(code => process.exit(code));
+} else {
+  // Start the agent
+  const agent = new UniversalPriceAgent();
+
+  // Graceful shutdown
+  process.on('SIGTERM', async () => {
+    logger.info('Shutting down gracefully...');
+    await agent.saveData();
+    await agent.closeStorage();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    logger.info('Shutting down gracefully...');
+    await agent.saveData();
+    await agent.closeStorage();
+    process.exit(0);
+  });
+}
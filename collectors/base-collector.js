@@ -0,0 +1,390 @@
+const { httpClient, isTransportError } = require('../lib/http-client');
+const { CircuitBreaker } = require('../lib/circuit-breaker');
+const { BASE_CURRENCY } = require('../lib/fx');
+const { convertUnitPrice } = require('../lib/units');
+
+// How a category decides whether its consolidated price is verified
+const DEFAULT_POLICY = {
+  threshold: 0.05,        // max coefficient of variation across sources
+  minSources: 2,          // fewer sources than this is never verified
+  outlierRule: 'mad',     // 'mad' = drop quotes far from the median (see madCutoff), 'none' = keep every quote
+  madCutoff: 3.5,         // robust z-score above which a quote is an outlier
+  timeout: 120000,        // per-source limit in ms, including time spent queued behind rate limits
+  breakerThreshold: 5,    // consecutive failures while the source is down (see isSourceDown) before it is skipped
+  breakerCooldown: 15 * 60 * 1000 // ms a failing source is skipped before it is probed again
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Price at which half of the total reliability lies on either side
+function weightedMedian(quotes) {
+  const sorted = [...quotes].sort((a, b) => a.price - b.price);
+  const half = sorted.reduce((sum, q) => sum + q.reliability, 0) / 2;
+  let cumulative = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].reliability;
+    if (Math.abs(cumulative - half) < 1e-9 && i + 1 < sorted.length) {
+      return (sorted[i].price + sorted[i + 1].price) / 2;
+    }
+    if (cumulative > half) {
+      return sorted[i].price;
+    }
+  }
+
+  return sorted[sorted.length - 1].price;
+}
+
+// The source is unreachable or refusing us, as opposed to answering without a usable price: the
+// transport failed (network, timeout, 429/5xx) or the site blocked the request (403)
+function isSourceDown(error) {
+  return isTransportError(error) || Boolean(error.response && error.response.status === 403);
+}
+
+// When a category is collected; see lib/market-calendar.js for the calendars
+const DEFAULT_SCHEDULE = {
+  cron: '*/5 * * * *',
+  calendar: 'always'
+};
+
+class BaseCollector {
+  // `currency` is what the collector's sources quote in; an item or a single source may quote in another
+  constructor(logger, { name, currency = BASE_CURRENCY, policy = {}, schedule = {} }) {
+    this.logger = logger;
+    this.name = name;
+    this.currency = currency;
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.schedule = { ...DEFAULT_SCHEDULE, ...schedule };
+
+    // Shared, rate-limited HTTP client (lib/http-client.js); sources fetch through this.http.get
+    this.http = httpClient;
+
+    // Items this collector tracks, from the item registry
+    this.items = {};
+    this.sourceStats = {};
+    // Circuit breaker per source name, created on first use
+    this.breakers = {};
+
+    // Learned source weights (see lib/source-reliability.js); the declared ones are used until attached
+    this.reliability = null;
+    this.key = null;
+
+    // Exchange rates (lib/fx.js) for quotes in other currencies, converted before consolidation
+    this.fx = null;
+
+    this.lastUpdate = 0;
+    this.status = 'initialized';
+  }
+
+  // Subclasses return the sources to query for an item:
+  // [{ name, reliability, fetch: () => Promise<price>, enabled?, timeout?, currency?, unit?, ...extra quote fields }]
+  // `unit` is what the source's price is per (lib/units.js); it defaults to the item's priceUnit
+  getSources(symbol, item) {
+    throw new Error(`${this.constructor.name} must implement getSources()`);
+  }
+
+  // Providers of past prices for the backfill command (lib/backfill.js), in order of preference:
+  // [{ name, enabled?, fetch: (from, to) => Promise<[{ timestamp, price, open?, high?, low? }]> }]
+  // Series are daily or coarser, in the base currency and per the item's priceUnit.
+  getHistorySources(symbol, item) {
+    return [];
+  }
+
+  // Collects every item, or only `symbols` when a schedule covers part of the collector.
+  // Items are fetched together; the HTTP client decides how many requests are actually in flight.
+  async collectData(symbols = Object.keys(this.items)) {
+    this.status = 'collecting';
+    let results = [];
+
+    try {
+      results = await Promise.all(symbols
+        .filter(symbol => this.items[symbol])
+        .map(symbol => this.collectItem(symbol, this.items[symbol])));
+
+      this.lastUpdate = Date.now();
+      this.status = 'completed';
+
+    } catch (error) {
+      this.logger.error(`${this.name} collection failed:`, error);
+      this.status = 'error';
+    }
+
+    return results;
+  }
+
+  async collectItem(symbol, item) {
+    try {
+      const quotes = await this.fetchQuotes(symbol, item);
+      return this.buildResult(symbol, item, quotes);
+    } catch (error) {
+      this.logger.error(`Failed to collect ${symbol}:`, error);
+      return this.failure(symbol, error.message);
+    }
+  }
+
+  async fetchQuotes(symbol, item) {
+    const sources = this.getSources(symbol, item).filter(({ enabled = true }) => enabled);
+
+    const quotes = await Promise.all(sources.map(async ({ name, reliability, fetch, enabled, timeout = this.policy.timeout, currency = item.currency || this.currency, unit = item.priceUnit, ...extra }) => {
+      // Not the source's fault, so it is neither fetched nor counted against it. Checked before the
+      // breaker, which would otherwise hand out its one half-open probe to a request never sent.
+      if (currency !== BASE_CURRENCY && !(this.fx && this.fx.getRate(currency))) {
+        this.logger.warn(`${name} quotes ${symbol} in ${currency}, which has no exchange rate yet`);
+        return null;
+      }
+      if (convertUnitPrice(1, unit, item.priceUnit) === null) {
+        this.logger.warn(`${name} quotes ${symbol} per ${unit}, which does not convert to ${item.priceUnit || 'an item without a priceUnit'}`);
+        return null;
+      }
+
+      const breaker = this.getBreaker(name);
+      if (!breaker.allowRequest()) return null;
+
+      const weight = this.reliability ? this.reliability.getScore(this.key, name, reliability) : reliability;
+
+      try {
+        const quoted = await this.withTimeout(fetch(), timeout, name);
+        const inBase = currency === BASE_CURRENCY ? quoted : this.fx.toBase(quoted, currency);
+        const price = convertUnitPrice(inBase, unit, item.priceUnit);
+        if (this.isValidPrice(price, item)) {
+          this.recordAttempt(name, reliability, 'success');
+          this.recordBreaker(name, null);
+          const native = currency === BASE_CURRENCY && unit === item.priceUnit ? {} : { nativePrice: quoted };
+          return { source: name, price, currency, unit, ...native, reliability: weight, prior: reliability, ...extra };
+        }
+        // The source answered, so its breaker (shared by every item it quotes) sees no failure
+        this.recordAttempt(name, reliability, 'failure');
+        this.recordBreaker(name, null);
+      } catch (error) {
+        this.logger.warn(`${name} failed for ${symbol}:`, error.message);
+        this.recordAttempt(name, reliability, ['ETIMEDOUT', 'ECONNABORTED'].includes(error.code) ? 'timeout' : 'failure');
+        this.recordBreaker(name, isSourceDown(error) ? error.message : null);
+      }
+      return null;
+    }));
+
+    return quotes.filter(Boolean);
+  }
+
+  // For fetchers that return null on any error: a source that is down is rethrown instead, so its
+  // circuit breaker counts the failure rather than seeing an answer without a price
+  rethrowIfDown(error) {
+    if (isSourceDown(error)) throw error;
+  }
+
+  getBreaker(source) {
+    if (!this.breakers[source]) {
+      this.breakers[source] = new CircuitBreaker({
+        failureThreshold: this.policy.breakerThreshold,
+        cooldown: this.policy.breakerCooldown
+      });
+    }
+    return this.breakers[source];
+  }
+
+  // `error` is null when the source answered, whatever it answered
+  recordBreaker(source, error) {
+    const breaker = this.getBreaker(source);
+    const transition = error === null ? breaker.recordSuccess() : breaker.recordFailure(error);
+
+    if (transition === 'opened') {
+      const minutes = Math.round(this.policy.breakerCooldown / 60000);
+      this.logger.warn(`${this.name}: circuit open for ${source} after ${breaker.failures} consecutive failures, skipping it for ${minutes} min (${error})`);
+    } else if (transition === 'closed') {
+      this.logger.info(`${this.name}: circuit closed for ${source}, source is answering again`);
+    }
+  }
+
+  useFx(fx) {
+    this.fx = fx;
+  }
+
+  useReliability(tracker, key) {
+    this.reliability = tracker;
+    this.key = key;
+  }
+
+  recordAttempt(source, prior, outcome) {
+    if (this.reliability) {
+      this.reliability.recordAttempt(this.key, source, prior, outcome);
+    }
+  }
+
+  withTimeout(promise, ms, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${name} timed out after ${ms}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  isValidPrice(price, item) {
+    return typeof price === 'number' && Number.isFinite(price) && price > 0;
+  }
+
+  buildResult(symbol, item, quotes) {
+    if (quotes.length === 0) {
+      return this.failure(symbol, 'No sources available');
+    }
+
+    const consolidated = this.verifyAndConsolidate(quotes, symbol);
+
+    return {
+      symbol,
+      success: true,
+      price: consolidated.price,
+      source: consolidated.primarySource,
+      verified: consolidated.verified,
+      sources: quotes.length,
+      variance: consolidated.variance,
+      rejected: consolidated.rejected,
+      quotes
+    };
+  }
+
+  failure(symbol, error, extra = {}) {
+    return {
+      symbol,
+      success: false,
+      error,
+      price: null,
+      source: null,
+      verified: false,
+      ...extra
+    };
+  }
+
+  verifyAndConsolidate(sources, symbol) {
+    const primarySource = [...sources].sort((a, b) => b.reliability - a.reliability)[0];
+
+    if (sources.length === 1) {
+      this.recordQuotes(sources, []);
+      return {
+        price: primarySource.price,
+        primarySource: primarySource.source,
+        verified: false,
+        variance: 0,
+        rejected: []
+      };
+    }
+
+    const { kept, rejected } = this.rejectOutliers(sources);
+    this.recordQuotes(sources, rejected);
+
+    // Dispersion of the surviving quotes decides whether the price is verified
+    const prices = kept.map(s => s.price);
+    const mean = prices.reduce((a, b) => a + b) / prices.length;
+    const variance = prices.reduce((acc, p) => acc + Math.pow(p - mean, 2), 0) / prices.length;
+    const coefficientOfVariation = Math.sqrt(variance) / mean;
+
+    const verified = kept.length >= this.policy.minSources && coefficientOfVariation < this.policy.threshold;
+    const keptPrimary = [...kept].sort((a, b) => b.reliability - a.reliability)[0];
+
+    // Reliability-weighted median of the surviving quotes, so one bad scrape cannot drag the price
+    const price = weightedMedian(kept);
+
+    // Score every quote, rejected ones included, against the price that was settled on. Two quotes
+    // that disagree have no majority, and scoring them would only reward whichever already weighs more.
+    if (this.reliability && (sources.length >= 3 || verified)) {
+      sources.forEach(source => {
+        const prior = source.prior !== undefined ? source.prior : source.reliability;
+        this.reliability.recordError(this.key, source.source, prior, source.price, price, this.policy.threshold);
+      });
+    }
+
+    this.logger.info(`${this.name} verification for ${symbol}: CV=${(coefficientOfVariation * 100).toFixed(2)}%, rejected=${rejected.length}, verified=${verified}`);
+    rejected.forEach(r => this.logger.warn(`${symbol}: rejected ${r.source} at ${r.price} (${r.reason})`));
+
+    return {
+      price,
+      primarySource: keptPrimary.source,
+      verified,
+      variance: coefficientOfVariation,
+      rejected
+    };
+  }
+
+  // Median absolute deviation test. A quote is only an outlier when it is both far from the
+  // others (robust z-score) and outside the category's tolerance, so tight markets where every
+  // source agrees to the cent do not reject a quote that is merely a tick away.
+  rejectOutliers(sources) {
+    if (this.policy.outlierRule === 'none' || sources.length < 3) {
+      return { kept: sources, rejected: [] };
+    }
+
+    const center = median(sources.map(s => s.price));
+    const mad = median(sources.map(s => Math.abs(s.price - center)));
+    const kept = [];
+    const rejected = [];
+
+    sources.forEach(source => {
+      const deviation = Math.abs(source.price - center);
+      const z = mad > 0 ? 0.6745 * deviation / mad : (deviation > 0 ? Infinity : 0);
+      const relative = deviation / center;
+
+      if (z > this.policy.madCutoff && relative > this.policy.threshold) {
+        rejected.push({
+          source: source.source,
+          price: source.price,
+          reason: `${(relative * 100).toFixed(1)}% from median ${center.toFixed(2)}, z=${Number.isFinite(z) ? z.toFixed(1) : 'inf'}`
+        });
+      } else {
+        kept.push(source);
+      }
+    });
+
+    return { kept, rejected };
+  }
+
+  // Per-source tally of how often a quote was rejected as an outlier
+  recordQuotes(sources, rejected) {
+    const rejectedNames = new Set(rejected.map(r => r.source));
+
+    sources.forEach(({ source }) => {
+      const stats = this.sourceStats[source] || (this.sourceStats[source] = { quotes: 0, rejected: 0, lastRejected: null });
+      stats.quotes++;
+      if (rejectedNames.has(source)) {
+        stats.rejected++;
+        stats.lastRejected = Date.now();
+      }
+    });
+  }
+
+  addItem(item) {
+    this.items[item.symbol] = item;
+  }
+
+  removeItem(symbol) {
+    delete this.items[symbol];
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      status: this.status,
+      lastUpdate: this.lastUpdate,
+      symbols: Object.keys(this.items).length,
+      currency: this.currency,
+      policy: {
+        threshold: this.policy.threshold,
+        minSources: this.policy.minSources,
+        outlierRule: this.policy.outlierRule,
+        madCutoff: this.policy.madCutoff
+      },
+      schedule: this.schedule,
+      disagreements: this.sourceStats,
+      breakers: Object.fromEntries(Object.entries(this.breakers).map(([source, breaker]) => [source, breaker.getStatus()]))
+    };
+  }
+}
+
+module.exports = BaseCollector;
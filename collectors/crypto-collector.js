@@ -1,146 +1,101 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
+const BaseCollector = require('./base-collector');
+const { BatchLoader } = require('../lib/batch-loader');
+const { BinanceStream } = require('../lib/binance-stream');
+
+class CryptoCollector extends BaseCollector {
+  constructor(logger, items = []) {
+    // Exchanges quote within a fraction of a percent of each other
+    super(logger, {
+      name: 'Cryptocurrency Collector',
+      currency: 'USD',
+      policy: { threshold: 0.02, minSources: 2, outlierRule: 'mad' },
+      // Trades around the clock
+      schedule: { cron: '*/5 * * * *', calendar: 'always' }
+    });
 
-class CryptoCollector {
-  constructor(logger) {
-    this.logger = logger;
-    this.name = 'Cryptocurrency Collector';
     this.sources = {
       coinGecko: 'https://api.coingecko.com/api/v3/simple/price',
       coinMarketCap: 'https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest',
-      binance: 'https://api.binance.com/api/v3/ticker/price'
-    };
-    
-    // Symbol mappings for different exchanges
-    this.symbolMappings = {
-      'BTC': { coinGecko: 'bitcoin', binance: 'BTCUSDT', cmc: 'BTC' },
-      'ETH': { coinGecko: 'ethereum', binance: 'ETHUSDT', cmc: 'ETH' },
-      'SOL': { coinGecko: 'solana', binance: 'SOLUSDT', cmc: 'SOL' },
-      'DOGE': { coinGecko: 'dogecoin', binance: 'DOGEUSDT', cmc: 'DOGE' }
+      binance: `${process.env.BINANCE_REST_URL || 'https://api.binance.com'}/api/v3/ticker/price`
     };
-    
-    this.lastUpdate = 0;
-    this.status = 'initialized';
-  }
 
-  async collectData() {
-    this.status = 'collecting';
-    const results = [];
-    
-    try {
-      // Collect data for each cryptocurrency
-      for (const [symbol, mappings] of Object.entries(this.symbolMappings)) {
-        const result = await this.collectCryptoPrice(symbol, mappings);
-        results.push(result);
-      }
-      
-      this.lastUpdate = Date.now();
-      this.status = 'completed';
-      
-    } catch (error) {
-      this.logger.error('Crypto collection failed:', error);
-      this.status = 'error';
-    }
-    
-    return results;
+    // Live Binance trade stream, when streaming mode is on
+    this.stream = null;
+
+    // One request per provider per cycle instead of one per coin
+    this.coinGeckoPrices = new BatchLoader(ids => this.getCoinGeckoPrices(ids), { maxBatchSize: 250 });
+    this.binancePrices = new BatchLoader(() => this.getBinancePrices(), { maxBatchSize: Infinity });
+
+    items.forEach(item => this.addItem(item));
   }
 
-  async collectCryptoPrice(symbol, mappings) {
-    const sources = [];
-    
-    try {
-      // Source 1: CoinGecko (free, reliable)
-      try {
-        const cgPrice = await this.getCoinGeckoPrice(mappings.coinGecko);
-        if (cgPrice) {
-          sources.push({ source: 'CoinGecko', price: cgPrice, reliability: 0.9 });
-        }
-      } catch (error) {
-        this.logger.warn(`CoinGecko failed for ${symbol}:`, error.message);
-      }
+  getSources(symbol, item) {
+    const mappings = item.sources;
 
-      // Source 2: Binance (exchange data, very reliable)
-      try {
-        const binancePrice = await this.getBinancePrice(mappings.binance);
-        if (binancePrice) {
-          sources.push({ source: 'Binance', price: binancePrice, reliability: 0.95 });
-        }
-      } catch (error) {
-        this.logger.warn(`Binance failed for ${symbol}:`, error.message);
+    return [
+      // CoinGecko (free, reliable)
+      { name: 'CoinGecko', reliability: 0.9, fetch: () => this.getCoinGeckoPrice(mappings.coinGecko) },
+      // Binance (exchange data, very reliable); pairs are quoted in Tether
+      { name: 'Binance', reliability: 0.95, currency: 'USDT', fetch: () => this.getBinancePrice(mappings.binance) },
+      // CoinMarketCap (requires API key, but very comprehensive)
+      {
+        name: 'CoinMarketCap',
+        reliability: 0.92,
+        enabled: Boolean(process.env.COINMARKETCAP_API_KEY),
+        fetch: () => this.getCoinMarketCapPrice(mappings.cmc)
       }
+    ];
+  }
 
-      // Source 3: CoinMarketCap (requires API key, but very comprehensive)
-      try {
-        if (process.env.COINMARKETCAP_API_KEY) {
-          const cmcPrice = await this.getCoinMarketCapPrice(mappings.cmc);
-          if (cmcPrice) {
-            sources.push({ source: 'CoinMarketCap', price: cmcPrice, reliability: 0.92 });
-          }
-        }
-      } catch (error) {
-        this.logger.warn(`CoinMarketCap failed for ${symbol}:`, error.message);
-      }
+  getHistorySources(symbol, item) {
+    return [
+      { name: 'CoinGecko', enabled: Boolean(item.sources.coinGecko), fetch: from => this.getCoinGeckoHistory(item.sources.coinGecko, from) }
+    ];
+  }
 
-      // Verify and consolidate data
-      if (sources.length === 0) {
-        return {
-          symbol,
-          success: false,
-          error: 'No sources available',
-          price: null,
-          source: null,
-          verified: false
-        };
-      }
+  // Daily prices; the public API serves at most the last 365 days
+  async getCoinGeckoHistory(coinId, from) {
+    const days = Math.min(365, Math.ceil((Date.now() - from) / (24 * 60 * 60 * 1000)));
+    const response = await this.http.get(`https://api.coingecko.com/api/v3/coins/${encodeURIComponent(coinId)}/market_chart`, {
+      params: { vs_currency: 'usd', days, interval: 'daily' },
+      timeout: 30000
+    });
 
-      const verifiedPrice = this.verifyAndConsolidate(sources);
-      
-      return {
-        symbol,
-        success: true,
-        price: verifiedPrice.price,
-        source: verifiedPrice.primarySource,
-        verified: verifiedPrice.verified,
-        sources: sources.length,
-        variance: verifiedPrice.variance
-      };
-
-    } catch (error) {
-      this.logger.error(`Failed to collect ${symbol}:`, error);
-      return {
-        symbol,
-        success: false,
-        error: error.message,
-        price: null,
-        source: null,
-        verified: false
-      };
-    }
+    return (response.data.prices || []).map(([timestamp, price]) => ({ timestamp, price }));
+  }
+
+  getCoinGeckoPrice(coinId) {
+    return this.coinGeckoPrices.load(coinId);
   }
 
-  async getCoinGeckoPrice(coinId) {
-    const response = await axios.get(this.sources.coinGecko, {
+  // simple/price takes a comma-separated list of ids
+  async getCoinGeckoPrices(coinIds) {
+    const response = await this.http.get(this.sources.coinGecko, {
       params: {
-        ids: coinId,
+        ids: coinIds.join(','),
         vs_currencies: 'usd'
       },
       timeout: 10000
     });
-    
-    return response.data[coinId]?.usd;
+
+    return new Map(coinIds.map(coinId => [coinId, response.data[coinId]?.usd]));
   }
 
-  async getBinancePrice(symbol) {
-    const response = await axios.get(this.sources.binance, {
-      params: { symbol },
+  getBinancePrice(symbol) {
+    return this.binancePrices.load(symbol);
+  }
+
+  // Without a symbol the ticker endpoint returns every pair, so one unknown symbol cannot fail the batch
+  async getBinancePrices() {
+    const response = await this.http.get(this.sources.binance, {
       timeout: 10000
     });
-    
-    return parseFloat(response.data.price);
+
+    return new Map(response.data.map(ticker => [ticker.symbol, parseFloat(ticker.price)]));
   }
 
   async getCoinMarketCapPrice(symbol) {
-    const response = await axios.get(this.sources.coinMarketCap, {
+    const response = await this.http.get(this.sources.coinMarketCap, {
       headers: {
         'X-CMC_PRO_API_KEY': process.env.COINMARKETCAP_API_KEY
       },
@@ -154,57 +109,51 @@ class CryptoCollector {
     return response.data.data[symbol]?.quote?.USD?.price;
   }
 
-  verifyAndConsolidate(sources) {
-    if (sources.length === 1) {
-      return {
-        price: sources[0].price,
-        primarySource: sources[0].source,
-        verified: false,
-        variance: 0
-      };
+  // Streaming mode: follows Binance trades between scheduled runs for a live price and 1-minute
+  // candles. handlers.onPrice(symbol, price, timestamp) and handlers.onCandle(symbol, candle)
+  // receive item symbols; see lib/binance-stream.js for the candle fields.
+  startStreaming(handlers, options = {}) {
+    const forItem = callback => (pair, ...args) => {
+      const item = Object.values(this.items).find(candidate => candidate.sources.binance === pair);
+      if (item) callback(item.symbol, ...args);
+    };
+
+    this.stream = new BinanceStream(this.logger, this.http, {
+      onPrice: forItem(handlers.onPrice),
+      onCandle: forItem(handlers.onCandle)
+    }, options);
+    this.stream.start(this.getStreamSymbols());
+    return this.stream;
+  }
+
+  stopStreaming() {
+    if (this.stream) {
+      this.stream.stop();
+      this.stream = null;
     }
+  }
 
-    // Calculate weighted average based on source reliability
-    let totalWeight = 0;
-    let weightedSum = 0;
-    
-    sources.forEach(source => {
-      totalWeight += source.reliability;
-      weightedSum += source.price * source.reliability;
-    });
-    
-    const weightedAverage = weightedSum / totalWeight;
-    
-    // Calculate variance to detect outliers
-    const prices = sources.map(s => s.price);
-    const mean = prices.reduce((a, b) => a + b) / prices.length;
-    const variance = prices.reduce((acc, price) => acc + Math.pow(price - mean, 2), 0) / prices.length;
-    const standardDeviation = Math.sqrt(variance);
-    const coefficientOfVariation = standardDeviation / mean;
-    
-    // If variance is low (< 2%), data is verified
-    const verified = coefficientOfVariation < 0.02;
-    
-    // Use the most reliable source as primary
-    const primarySource = sources.sort((a, b) => b.reliability - a.reliability)[0];
-    
-    this.logger.info(`${sources[0].source} price verification: CV=${(coefficientOfVariation * 100).toFixed(2)}%, verified=${verified}`);
-    
-    return {
-      price: verified ? weightedAverage : primarySource.price,
-      primarySource: primarySource.source,
-      verified,
-      variance: coefficientOfVariation
-    };
+  getStreamSymbols() {
+    return Object.values(this.items)
+      .map(item => item.sources && item.sources.binance)
+      .filter(Boolean);
+  }
+
+  addItem(item) {
+    super.addItem(item);
+    if (this.stream) this.stream.setSymbols(this.getStreamSymbols());
+  }
+
+  removeItem(symbol) {
+    super.removeItem(symbol);
+    if (this.stream) this.stream.setSymbols(this.getStreamSymbols());
   }
 
   getStatus() {
     return {
-      name: this.name,
-      status: this.status,
-      lastUpdate: this.lastUpdate,
+      ...super.getStatus(),
       sources: Object.keys(this.sources).length,
-      symbols: Object.keys(this.symbolMappings).length
+      stream: this.stream ? this.stream.getStatus() : null
     };
   }
 }
@@ -0,0 +1,148 @@
+const BaseCollector = require('./base-collector');
+const { BatchLoader } = require('../lib/batch-loader');
+
+// Exchange rates, collected as the USD price of one unit of each item's `baseCurrency`.
+// The stored history of these items is what prices are converted with (see lib/fx.js).
+class FxCollector extends BaseCollector {
+  constructor(logger, items = []) {
+    // Reference rates from different providers agree to a fraction of a percent
+    super(logger, {
+      name: 'FX Rates Collector',
+      currency: 'USD',
+      policy: { threshold: 0.01, minSources: 2, outlierRule: 'mad' },
+      // Reference rates are published daily; hourly keeps up with the stablecoins
+      schedule: { cron: '0 * * * *', calendar: 'always' }
+    });
+
+    this.sources = {
+      frankfurter: 'https://api.frankfurter.app/latest',
+      exchangeRateApi: 'https://open.er-api.com/v6/latest/USD',
+      coinGecko: 'https://api.coingecko.com/api/v3/simple/price',
+      kraken: 'https://api.kraken.com/0/public/Ticker'
+    };
+
+    // Both fiat providers return every currency in one response
+    this.frankfurterRates = new BatchLoader(() => this.getFrankfurterRates(), { maxBatchSize: Infinity });
+    this.exchangeRateApiRates = new BatchLoader(() => this.getExchangeRateApiRates(), { maxBatchSize: Infinity });
+
+    items.forEach(item => this.addItem(item));
+  }
+
+  getSources(symbol, item) {
+    if (!item.baseCurrency) {
+      this.logger.warn(`FX item ${symbol} has no baseCurrency`);
+      return [];
+    }
+
+    // Stablecoins trade on crypto markets rather than having reference rates
+    if (item.kind === 'stablecoin') {
+      return [
+        { name: 'CoinGecko', reliability: 0.9, fetch: () => this.getCoinGeckoPrice(item.sources.coinGecko) },
+        { name: 'Kraken', reliability: 0.9, fetch: () => this.getKrakenPrice(item.sources.kraken) }
+      ];
+    }
+
+    return [
+      // European Central Bank reference rates
+      { name: 'Frankfurter (ECB)', reliability: 0.95, fetch: () => this.frankfurterRates.load(item.baseCurrency) },
+      { name: 'ExchangeRate-API', reliability: 0.9, fetch: () => this.exchangeRateApiRates.load(item.baseCurrency) }
+    ];
+  }
+
+  getHistorySources(symbol, item) {
+    if (!item.baseCurrency) return [];
+
+    if (item.kind === 'stablecoin') {
+      return [
+        { name: 'CoinGecko', enabled: Boolean(item.sources.coinGecko), fetch: from => this.getCoinGeckoHistory(item.sources.coinGecko, from) }
+      ];
+    }
+
+    return [
+      { name: 'Frankfurter (ECB)', fetch: (from, to) => this.getFrankfurterHistory(item.baseCurrency, from, to) }
+    ];
+  }
+
+  // ECB reference rates for each working day in the range
+  async getFrankfurterHistory(currency, from, to) {
+    const range = `${new Date(from).toISOString().slice(0, 10)}..${new Date(to).toISOString().slice(0, 10)}`;
+    const response = await this.http.get(`https://api.frankfurter.app/${range}`, {
+      params: { from: 'USD', to: currency },
+      timeout: 30000
+    });
+
+    return Object.entries(response.data.rates || {}).map(([date, rates]) => ({
+      timestamp: Date.parse(date),
+      price: this.toUsdPrices(rates).get(currency)
+    }));
+  }
+
+  // Same market_chart series as for coins, so also limited to the last year
+  async getCoinGeckoHistory(coinId, from) {
+    const days = Math.min(365, Math.ceil((Date.now() - from) / (24 * 60 * 60 * 1000)));
+    const response = await this.http.get(`https://api.coingecko.com/api/v3/coins/${encodeURIComponent(coinId)}/market_chart`, {
+      params: { vs_currency: 'usd', days, interval: 'daily' },
+      timeout: 30000
+    });
+
+    return (response.data.prices || []).map(([timestamp, price]) => ({ timestamp, price }));
+  }
+
+  // Providers quote units of each currency per USD; items want USD per unit
+  toUsdPrices(rates) {
+    return new Map(Object.entries(rates || {}).map(([currency, rate]) => [currency, rate > 0 ? 1 / rate : undefined]));
+  }
+
+  async getFrankfurterRates() {
+    const response = await this.http.get(this.sources.frankfurter, {
+      params: { from: 'USD' },
+      timeout: 10000
+    });
+
+    return this.toUsdPrices(response.data.rates);
+  }
+
+  async getExchangeRateApiRates() {
+    const response = await this.http.get(this.sources.exchangeRateApi, {
+      timeout: 10000
+    });
+
+    if (response.data.result !== 'success') {
+      throw new Error(`ExchangeRate-API returned ${response.data.result}`);
+    }
+    return this.toUsdPrices(response.data.rates);
+  }
+
+  async getCoinGeckoPrice(coinId) {
+    if (!coinId) return null;
+
+    const response = await this.http.get(this.sources.coinGecko, {
+      params: { ids: coinId, vs_currencies: 'usd' },
+      timeout: 10000
+    });
+
+    return response.data[coinId]?.usd;
+  }
+
+  async getKrakenPrice(pair) {
+    if (!pair) return null;
+
+    const response = await this.http.get(this.sources.kraken, {
+      params: { pair },
+      timeout: 10000
+    });
+
+    // Kraken answers under its own pair name (USDTUSD -> USDTZUSD), so take the only result
+    const [ticker] = Object.values(response.data.result || {});
+    return ticker ? parseFloat(ticker.c[0]) : null;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      sources: Object.keys(this.sources).length
+    };
+  }
+}
+
+module.exports = FxCollector;
@@ -1,209 +1,53 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
+const BaseCollector = require('./base-collector');
 
-class LuxuryCollector {
-  constructor(logger) {
-    this.logger = logger;
-    this.name = 'Luxury Goods Collector';
-    
-    // Luxury items we track
-    this.luxuryItems = {
-      'ROLEX-SUB': { name: 'Rolex Submariner', searchTerms: ['rolex submariner', 'submariner 116610'] },
-      'ROLEX-DAY': { name: 'Rolex Daytona', searchTerms: ['rolex daytona', 'daytona 116500'] },
-      'AP-RO': { name: 'AP Royal Oak', searchTerms: ['audemars piguet royal oak', 'ap royal oak 15400'] },
-      'PATEK-NAU': { name: 'Patek Nautilus', searchTerms: ['patek philippe nautilus', 'nautilus 5711'] },
-      'CHAR-PSA10': { name: 'Charizard PSA 10', searchTerms: ['charizard psa 10 base set', '1st edition charizard psa 10'] },
-      'MTG-LOTUS': { name: 'Black Lotus', searchTerms: ['black lotus alpha mtg', 'black lotus magic'] },
-      'AC1': { name: 'Action Comics #1', searchTerms: ['action comics 1 cgc', 'superman first appearance'] }
-    };
-    
-    this.lastUpdate = 0;
-    this.status = 'initialized';
-  }
-
-  async collectData() {
-    this.status = 'collecting';
-    const results = [];
-    
-    try {
-      // Collect data for each luxury item
-      for (const symbol of Object.keys(this.luxuryItems)) {
-        const result = await this.collectLuxuryPrice(symbol);
-        results.push(result);
-      }
-      
-      this.lastUpdate = Date.now();
-      this.status = 'completed';
-      
-    } catch (error) {
-      this.logger.error('Luxury collection failed:', error);
-      this.status = 'error';
-    }
-    
-    return results;
-  }
-
-  async collectLuxuryPrice(symbol) {
-    const sources = [];
-    const item = this.luxuryItems[symbol];
-    
-    try {
-      // Different strategies based on item type
-      if (symbol.includes('ROLEX') || symbol.includes('AP') || symbol.includes('PATEK')) {
-        // Watch sources
-        sources.push(...await this.collectWatchPrices(symbol, item));
-      } else if (symbol.includes('CHAR') || symbol.includes('MTG')) {
-        // Trading card sources
-        sources.push(...await this.collectCardPrices(symbol, item));
-      } else if (symbol.includes('AC')) {
-        // Comic book sources
-        sources.push(...await this.collectComicPrices(symbol, item));
-      }
-
-      // Filter out null/invalid sources
-      const validSources = sources.filter(s => s && s.price > 0);
-
-      if (validSources.length === 0) {
-        return {
-          symbol,
-          success: false,
-          error: 'No valid sources available',
-          price: null,
-          source: null,
-          verified: false
-        };
-      }
-
-      const verifiedPrice = this.verifyAndConsolidate(validSources);
-      
-      return {
-        symbol,
-        success: true,
-        price: verifiedPrice.price,
-        source: verifiedPrice.primarySource,
-        verified: verifiedPrice.verified,
-        sources: validSources.length,
-        variance: verifiedPrice.variance
-      };
-
-    } catch (error) {
-      this.logger.error(`Failed to collect ${symbol}:`, error);
-      return {
-        symbol,
-        success: false,
-        error: error.message,
-        price: null,
-        source: null,
-        verified: false
-      };
-    }
-  }
-
-  async collectWatchPrices(symbol, item) {
-    const sources = [];
-
-    // Source 1: Chrono24 (major watch marketplace)
-    try {
-      const chrono24Price = await this.scrapeChrono24(item.searchTerms[0]);
-      if (chrono24Price) {
-        sources.push({ source: 'Chrono24', price: chrono24Price, reliability: 0.88 });
-      }
-    } catch (error) {
-      this.logger.warn(`Chrono24 failed for ${symbol}:`, error.message);
-    }
-
-    // Source 2: Bob's Watches
-    try {
-      const bobsPrice = await this.scrapeBobsWatches(item.searchTerms[0]);
-      if (bobsPrice) {
-        sources.push({ source: 'Bob\'s Watches', price: bobsPrice, reliability: 0.85 });
-      }
-    } catch (error) {
-      this.logger.warn(`Bob's Watches failed for ${symbol}:`, error.message);
-    }
-
-    // Source 3: WatchStation (if available)
-    try {
-      const watchStationPrice = await this.scrapeWatchStation(item.searchTerms[0]);
-      if (watchStationPrice) {
-        sources.push({ source: 'WatchStation', price: watchStationPrice, reliability: 0.82 });
-      }
-    } catch (error) {
-      this.logger.warn(`WatchStation failed for ${symbol}:`, error.message);
-    }
-
-    return sources;
-  }
-
-  async collectCardPrices(symbol, item) {
-    const sources = [];
-
-    // Source 1: eBay sold listings
-    try {
-      const ebayPrice = await this.scrapeEbaySoldListings(item.searchTerms[0]);
-      if (ebayPrice) {
-        sources.push({ source: 'eBay Sold', price: ebayPrice, reliability: 0.90 });
-      }
-    } catch (error) {
-      this.logger.warn(`eBay failed for ${symbol}:`, error.message);
-    }
-
-    // Source 2: PWCC Marketplace
-    try {
-      const pwccPrice = await this.scrapePwcc(item.searchTerms[0]);
-      if (pwccPrice) {
-        sources.push({ source: 'PWCC', price: pwccPrice, reliability: 0.92 });
-      }
-    } catch (error) {
-      this.logger.warn(`PWCC failed for ${symbol}:`, error.message);
-    }
-
-    // Source 3: Goldin Auctions
-    try {
-      const goldinPrice = await this.scrapeGoldin(item.searchTerms[0]);
-      if (goldinPrice) {
-        sources.push({ source: 'Goldin', price: goldinPrice, reliability: 0.88 });
-      }
-    } catch (error) {
-      this.logger.warn(`Goldin failed for ${symbol}:`, error.message);
-    }
-
-    return sources;
-  }
-
-  async collectComicPrices(symbol, item) {
-    const sources = [];
-
-    // Source 1: GoCollect (comic price database)
-    try {
-      const goCollectPrice = await this.scrapeGoCollect(item.searchTerms[0]);
-      if (goCollectPrice) {
-        sources.push({ source: 'GoCollect', price: goCollectPrice, reliability: 0.90 });
-      }
-    } catch (error) {
-      this.logger.warn(`GoCollect failed for ${symbol}:`, error.message);
-    }
+class LuxuryCollector extends BaseCollector {
+  constructor(logger, items = []) {
+    // Luxury goods can have high variance, especially collectibles
+    super(logger, {
+      name: 'Luxury Goods Collector',
+      currency: 'USD',
+      policy: { threshold: 0.25, minSources: 2, outlierRule: 'mad' },
+      schedule: { cron: '0 */6 * * *', calendar: 'always' }
+    });
 
-    // Source 2: Heritage Auctions
-    try {
-      const heritagePrice = await this.scrapeHeritage(item.searchTerms[0]);
-      if (heritagePrice) {
-        sources.push({ source: 'Heritage', price: heritagePrice, reliability: 0.92 });
-      }
-    } catch (error) {
-      this.logger.warn(`Heritage failed for ${symbol}:`, error.message);
+    items.forEach(item => this.addItem(item));
+  }
+
+  // Different strategies based on item type
+  getSources(symbol, item) {
+    const searchTerm = (item.sources.searchTerms || [item.name])[0];
+
+    switch (item.kind) {
+      case 'watch':
+        return [
+          // Chrono24 (major watch marketplace)
+          { name: 'Chrono24', reliability: 0.88, fetch: () => this.scrapeChrono24(searchTerm) },
+          { name: 'Bob\'s Watches', reliability: 0.85, fetch: () => this.scrapeBobsWatches(searchTerm) },
+          { name: 'WatchStation', reliability: 0.82, fetch: () => this.scrapeWatchStation(searchTerm) }
+        ];
+      case 'card':
+        return [
+          { name: 'eBay Sold', reliability: 0.90, fetch: () => this.scrapeEbaySoldListings(searchTerm) },
+          { name: 'PWCC', reliability: 0.92, fetch: () => this.scrapePwcc(searchTerm) },
+          { name: 'Goldin', reliability: 0.88, fetch: () => this.scrapeGoldin(searchTerm) }
+        ];
+      case 'comic':
+        return [
+          // GoCollect (comic price database)
+          { name: 'GoCollect', reliability: 0.90, fetch: () => this.scrapeGoCollect(searchTerm) },
+          { name: 'Heritage', reliability: 0.92, fetch: () => this.scrapeHeritage(searchTerm) }
+        ];
+      default:
+        this.logger.warn(`Unknown luxury item kind for ${symbol}: ${item.kind}`);
+        return [];
     }
-
-    return sources;
   }
 
   async scrapeChrono24(searchTerm) {
     try {
-      const response = await axios.get(`https://www.chrono24.com/search/index.htm?query=${encodeURIComponent(searchTerm)}`, {
-        timeout: 20000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await this.http.get(`https://www.chrono24.com/search/index.htm?query=${encodeURIComponent(searchTerm)}`, {
+        timeout: 20000
       });
 
       const $ = cheerio.load(response.data);
@@ -230,6 +74,7 @@ class LuxuryCollector {
 
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
@@ -247,11 +92,8 @@ class LuxuryCollector {
   async scrapeEbaySoldListings(searchTerm) {
     try {
       // eBay sold listings provide good market data
-      const response = await axios.get(`https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&LH_Sold=1&LH_Complete=1`, {
-        timeout: 20000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await this.http.get(`https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(searchTerm)}&LH_Sold=1&LH_Complete=1`, {
+        timeout: 20000
       });
 
       const $ = cheerio.load(response.data);
@@ -279,6 +121,7 @@ class LuxuryCollector {
 
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
@@ -302,58 +145,6 @@ class LuxuryCollector {
     // Placeholder - would implement Heritage Auctions scraping
     return null;
   }
-
-  verifyAndConsolidate(sources) {
-    if (sources.length === 1) {
-      return {
-        price: sources[0].price,
-        primarySource: sources[0].source,
-        verified: false,
-        variance: 0
-      };
-    }
-
-    // Calculate weighted average
-    let totalWeight = 0;
-    let weightedSum = 0;
-    
-    sources.forEach(source => {
-      totalWeight += source.reliability;
-      weightedSum += source.price * source.reliability;
-    });
-    
-    const weightedAverage = weightedSum / totalWeight;
-    
-    // Calculate variance
-    const prices = sources.map(s => s.price);
-    const mean = prices.reduce((a, b) => a + b) / prices.length;
-    const variance = prices.reduce((acc, price) => acc + Math.pow(price - mean, 2), 0) / prices.length;
-    const standardDeviation = Math.sqrt(variance);
-    const coefficientOfVariation = standardDeviation / mean;
-    
-    // Luxury goods can have high variance, especially collectibles
-    const verified = coefficientOfVariation < 0.25; // 25% threshold
-    
-    const primarySource = sources.sort((a, b) => b.reliability - a.reliability)[0];
-    
-    this.logger.info(`Luxury price verification: CV=${(coefficientOfVariation * 100).toFixed(2)}%, verified=${verified}`);
-    
-    return {
-      price: verified ? weightedAverage : primarySource.price,
-      primarySource: primarySource.source,
-      verified,
-      variance: coefficientOfVariation
-    };
-  }
-
-  getStatus() {
-    return {
-      name: this.name,
-      status: this.status,
-      lastUpdate: this.lastUpdate,
-      symbols: Object.keys(this.luxuryItems).length
-    };
-  }
 }
 
 module.exports = LuxuryCollector;
\ No newline at end of file
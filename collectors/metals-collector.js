@@ -1,123 +1,44 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
+const BaseCollector = require('./base-collector');
+
+class MetalsCollector extends BaseCollector {
+  constructor(logger, items = []) {
+    // Spot prices from APIs and dealers track each other within about 1%
+    super(logger, {
+      name: 'Precious Metals Collector',
+      currency: 'USD',
+      policy: { threshold: 0.01, minSources: 2, outlierRule: 'mad' },
+      // Spot markets are open around the clock on weekdays
+      schedule: { cron: '*/15 * * * *', calendar: 'business-days' }
+    });
 
-class MetalsCollector {
-  constructor(logger) {
-    this.logger = logger;
-    this.name = 'Precious Metals Collector';
-    
-    // Metal symbols we track
-    this.metals = ['XAU', 'XAG', 'XPT', 'XPD']; // Gold, Silver, Platinum, Palladium
-    
-    this.lastUpdate = 0;
-    this.status = 'initialized';
-  }
-
-  async collectData() {
-    this.status = 'collecting';
-    const results = [];
-    
-    try {
-      // Collect data for each metal
-      for (const metal of this.metals) {
-        const result = await this.collectMetalPrice(metal);
-        results.push(result);
-      }
-      
-      this.lastUpdate = Date.now();
-      this.status = 'completed';
-      
-    } catch (error) {
-      this.logger.error('Metals collection failed:', error);
-      this.status = 'error';
-    }
-    
-    return results;
+    items.forEach(item => this.addItem(item));
   }
 
-  async collectMetalPrice(symbol) {
-    const sources = [];
-    
-    try {
-      // Source 1: Metals-API.com (free tier available)
-      try {
-        const metalsApiPrice = await this.getMetalsApiPrice(symbol);
-        if (metalsApiPrice) {
-          sources.push({ source: 'MetalsAPI', price: metalsApiPrice, reliability: 0.9 });
-        }
-      } catch (error) {
-        this.logger.warn(`MetalsAPI failed for ${symbol}:`, error.message);
-      }
-
-      // Source 2: Scrape from GoldPrice.org
-      try {
-        if (symbol === 'XAU') { // Gold only
-          const goldPriceOrg = await this.scrapeGoldPriceOrg();
-          if (goldPriceOrg) {
-            sources.push({ source: 'GoldPrice.org', price: goldPriceOrg, reliability: 0.85 });
-          }
-        }
-      } catch (error) {
-        this.logger.warn(`GoldPrice.org failed:`, error.message);
-      }
-
-      // Source 3: Scrape from APMEX.com
-      try {
-        const apmexPrice = await this.scrapeApmexPrice(symbol);
-        if (apmexPrice) {
-          sources.push({ source: 'APMEX', price: apmexPrice, reliability: 0.88 });
-        }
-      } catch (error) {
-        this.logger.warn(`APMEX failed for ${symbol}:`, error.message);
-      }
-
-      // Source 4: Financial modeling prep API (requires key)
-      try {
-        if (process.env.FMP_API_KEY) {
-          const fmpPrice = await this.getFmpPrice(symbol);
-          if (fmpPrice) {
-            sources.push({ source: 'FinancialModelingPrep', price: fmpPrice, reliability: 0.92 });
-          }
-        }
-      } catch (error) {
-        this.logger.warn(`FMP failed for ${symbol}:`, error.message);
-      }
-
-      // Verify and consolidate data
-      if (sources.length === 0) {
-        return {
-          symbol,
-          success: false,
-          error: 'No sources available',
-          price: null,
-          source: null,
-          verified: false
-        };
+  // Every source quotes spot prices per troy ounce
+  getSources(symbol, item) {
+    return [
+      // Metals-API.com (free tier available)
+      { name: 'MetalsAPI', reliability: 0.9, unit: 'ozt', fetch: () => this.getMetalsApiPrice(item.sources.metalsApi || symbol) },
+      // Scrape from GoldPrice.org (gold only)
+      {
+        name: 'GoldPrice.org',
+        reliability: 0.85,
+        unit: 'ozt',
+        enabled: Boolean(item.sources.goldPriceOrg),
+        fetch: () => this.scrapeGoldPriceOrg(item.sanityRange)
+      },
+      // Scrape from APMEX.com
+      { name: 'APMEX', reliability: 0.88, unit: 'ozt', fetch: () => this.scrapeApmexPrice(item.sources.apmex, item.sanityRange) },
+      // Financial modeling prep API (requires key)
+      {
+        name: 'FinancialModelingPrep',
+        reliability: 0.92,
+        unit: 'ozt',
+        enabled: Boolean(process.env.FMP_API_KEY),
+        fetch: () => this.getFmpPrice(item.sources.fmp || `${symbol}USD`)
       }
-
-      const verifiedPrice = this.verifyAndConsolidate(sources);
-      
-      return {
-        symbol,
-        success: true,
-        price: verifiedPrice.price,
-        source: verifiedPrice.primarySource,
-        verified: verifiedPrice.verified,
-        sources: sources.length,
-        variance: verifiedPrice.variance
-      };
-
-    } catch (error) {
-      this.logger.error(`Failed to collect ${symbol}:`, error);
-      return {
-        symbol,
-        success: false,
-        error: error.message,
-        price: null,
-        source: null,
-        verified: false
-      };
-    }
+    ];
   }
 
   async getMetalsApiPrice(symbol) {
@@ -125,7 +46,7 @@ class MetalsCollector {
     const apiKey = process.env.METALS_API_KEY;
     if (!apiKey) return null;
 
-    const response = await axios.get(`https://metals-api.com/api/latest`, {
+    const response = await this.http.get(`https://metals-api.com/api/latest`, {
       params: {
         access_key: apiKey,
         base: 'USD',
@@ -143,13 +64,10 @@ class MetalsCollector {
     return null;
   }
 
-  async scrapeGoldPriceOrg() {
+  async scrapeGoldPriceOrg(sanityRange) {
     try {
-      const response = await axios.get('https://goldprice.org/', {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
+      const response = await this.http.get('https://goldprice.org/', {
+        timeout: 15000
       });
 
       const $ = cheerio.load(response.data);
@@ -161,35 +79,27 @@ class MetalsCollector {
 
       if (priceText) {
         const price = parseFloat(priceText.replace(/[^0-9.]/g, ''));
-        if (price > 1000 && price < 5000) { // Sanity check for gold price range
+        // Sanity check against the item's typical price range
+        const [min, max] = sanityRange || [0, Infinity];
+        if (price >= min && price <= max) {
           return price;
         }
       }
 
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       this.logger.warn('GoldPrice.org scraping failed:', error.message);
       return null;
     }
   }
 
-  async scrapeApmexPrice(symbol) {
+  async scrapeApmexPrice(metalName, sanityRange) {
     try {
-      const metalNames = {
-        'XAU': 'gold',
-        'XAG': 'silver', 
-        'XPT': 'platinum',
-        'XPD': 'palladium'
-      };
-      
-      const metalName = metalNames[symbol];
       if (!metalName) return null;
 
-      const response = await axios.get(`https://www.apmex.com/category/10000/${metalName}`, {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
+      const response = await this.http.get(`https://www.apmex.com/category/10000/${metalName}`, {
+        timeout: 15000
       });
 
       const $ = cheerio.load(response.data);
@@ -202,15 +112,8 @@ class MetalsCollector {
         const priceText = priceElement.text() || priceElement.attr('data-price');
         const price = parseFloat(priceText.replace(/[^0-9.]/g, ''));
         
-        // Sanity checks based on typical price ranges
-        const ranges = {
-          'XAU': [1500, 3000],  // Gold: $1500-3000
-          'XAG': [15, 50],      // Silver: $15-50
-          'XPT': [800, 1500],   // Platinum: $800-1500
-          'XPD': [1000, 3000]   // Palladium: $1000-3000
-        };
-        
-        const [min, max] = ranges[symbol];
+        // Sanity checks based on the item's typical price range
+        const [min, max] = sanityRange || [0, Infinity];
         if (price >= min && price <= max) {
           return price;
         }
@@ -218,14 +121,15 @@ class MetalsCollector {
 
       return null;
     } catch (error) {
-      this.logger.warn(`APMEX scraping failed for ${symbol}:`, error.message);
+      this.rethrowIfDown(error);
+      this.logger.warn(`APMEX scraping failed for ${metalName}:`, error.message);
       return null;
     }
   }
 
-  async getFmpPrice(symbol) {
+  async getFmpPrice(pair) {
     try {
-      const response = await axios.get(`https://financialmodelingprep.com/api/v3/fx/${symbol}USD`, {
+      const response = await this.http.get(`https://financialmodelingprep.com/api/v3/fx/${pair}`, {
         params: {
           apikey: process.env.FMP_API_KEY
         },
@@ -238,63 +142,11 @@ class MetalsCollector {
 
       return null;
     } catch (error) {
-      this.logger.warn(`FMP API failed for ${symbol}:`, error.message);
+      this.rethrowIfDown(error);
+      this.logger.warn(`FMP API failed for ${pair}:`, error.message);
       return null;
     }
   }
-
-  verifyAndConsolidate(sources) {
-    if (sources.length === 1) {
-      return {
-        price: sources[0].price,
-        primarySource: sources[0].source,
-        verified: false,
-        variance: 0
-      };
-    }
-
-    // Calculate weighted average based on source reliability
-    let totalWeight = 0;
-    let weightedSum = 0;
-    
-    sources.forEach(source => {
-      totalWeight += source.reliability;
-      weightedSum += source.price * source.reliability;
-    });
-    
-    const weightedAverage = weightedSum / totalWeight;
-    
-    // Calculate variance to detect outliers
-    const prices = sources.map(s => s.price);
-    const mean = prices.reduce((a, b) => a + b) / prices.length;
-    const variance = prices.reduce((acc, price) => acc + Math.pow(price - mean, 2), 0) / prices.length;
-    const standardDeviation = Math.sqrt(variance);
-    const coefficientOfVariation = standardDeviation / mean;
-    
-    // If variance is low (< 1% for metals), data is verified
-    const verified = coefficientOfVariation < 0.01;
-    
-    // Use the most reliable source as primary
-    const primarySource = sources.sort((a, b) => b.reliability - a.reliability)[0];
-    
-    this.logger.info(`Metals price verification: CV=${(coefficientOfVariation * 100).toFixed(2)}%, verified=${verified}`);
-    
-    return {
-      price: verified ? weightedAverage : primarySource.price,
-      primarySource: primarySource.source,
-      verified,
-      variance: coefficientOfVariation
-    };
-  }
-
-  getStatus() {
-    return {
-      name: this.name,
-      status: this.status,
-      lastUpdate: this.lastUpdate,
-      symbols: this.metals.length
-    };
-  }
 }
 
 module.exports = MetalsCollector;
\ No newline at end of file
@@ -1,210 +1,94 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
+const BaseCollector = require('./base-collector');
 
-class RealEstateCollector {
-  constructor(logger) {
-    this.logger = logger;
-    this.name = 'Real Estate Collector';
-    
-    // Real estate metrics we track
-    this.properties = {
-      'HOUSE-US': { name: 'US Median House Price', region: 'US', type: 'median_home_price' },
-      'HOUSE-CA': { name: 'Canada Median House Price', region: 'CA', type: 'median_home_price' },
-      'NYC-SQFT': { name: 'NYC Price per sqft', region: 'NYC', type: 'price_per_sqft' }
-    };
-    
-    this.lastUpdate = 0;
-    this.status = 'initialized';
-  }
-
-  async collectData() {
-    this.status = 'collecting';
-    const results = [];
-    
-    try {
-      // Collect data for each real estate metric
-      for (const symbol of Object.keys(this.properties)) {
-        const result = await this.collectRealEstatePrice(symbol);
-        results.push(result);
-      }
-      
-      this.lastUpdate = Date.now();
-      this.status = 'completed';
-      
-    } catch (error) {
-      this.logger.error('Real estate collection failed:', error);
-      this.status = 'error';
-    }
-    
-    return results;
-  }
-
-  async collectRealEstatePrice(symbol) {
-    const sources = [];
-    const property = this.properties[symbol];
-    
-    try {
-      // Different strategies based on region and type
-      switch (symbol) {
-        case 'HOUSE-US':
-          sources.push(...await this.collectUSHousingPrices());
-          break;
-        case 'HOUSE-CA':
-          sources.push(...await this.collectCanadaHousingPrices());
-          break;
-        case 'NYC-SQFT':
-          sources.push(...await this.collectNYCPricesPerSqft());
-          break;
-      }
-
-      // Filter out null/invalid sources
-      const validSources = sources.filter(s => s && s.price > 0);
-
-      if (validSources.length === 0) {
-        return {
-          symbol,
-          success: false,
-          error: 'No valid sources available',
-          price: null,
-          source: null,
-          verified: false
-        };
-      }
-
-      const verifiedPrice = this.verifyAndConsolidate(validSources);
-      
-      return {
-        symbol,
-        success: true,
-        price: verifiedPrice.price,
-        source: verifiedPrice.primarySource,
-        verified: verifiedPrice.verified,
-        sources: validSources.length,
-        variance: verifiedPrice.variance
-      };
+class RealEstateCollector extends BaseCollector {
+  constructor(logger, items = []) {
+    // Real estate can have some variance due to timing and methodology
+    super(logger, {
+      name: 'Real Estate Collector',
+      currency: 'USD',
+      policy: { threshold: 0.10, minSources: 2, outlierRule: 'mad' },
+      // Checked each morning; the monthly calendar only lets the first business day through
+      schedule: { cron: '0 8 * * *', calendar: 'monthly' }
+    });
 
-    } catch (error) {
-      this.logger.error(`Failed to collect ${symbol}:`, error);
-      return {
-        symbol,
-        success: false,
-        error: error.message,
-        price: null,
-        source: null,
-        verified: false
-      };
-    }
+    items.forEach(item => this.addItem(item));
   }
 
-  async collectUSHousingPrices() {
-    const sources = [];
-
-    // Source 1: FRED API (Federal Reserve Economic Data)
-    try {
-      if (process.env.FRED_API_KEY) {
-        const fredPrice = await this.getFredHousingPrice();
-        if (fredPrice) {
-          sources.push({ source: 'FRED', price: fredPrice, reliability: 0.95 });
-        }
-      }
-    } catch (error) {
-      this.logger.warn('FRED API failed:', error.message);
-    }
-
-    // Source 2: Zillow Research Data
-    try {
-      const zillowPrice = await this.getZillowResearchData();
-      if (zillowPrice) {
-        sources.push({ source: 'Zillow Research', price: zillowPrice, reliability: 0.90 });
-      }
-    } catch (error) {
-      this.logger.warn('Zillow Research failed:', error.message);
-    }
-
-    // Source 3: Redfin Data Center
-    try {
-      const redfinPrice = await this.getRedfinData();
-      if (redfinPrice) {
-        sources.push({ source: 'Redfin', price: redfinPrice, reliability: 0.88 });
-      }
-    } catch (error) {
-      this.logger.warn('Redfin data failed:', error.message);
-    }
-
-    // Source 4: NAR (National Association of Realtors)
-    try {
-      const narPrice = await this.scrapeNarData();
-      if (narPrice) {
-        sources.push({ source: 'NAR', price: narPrice, reliability: 0.92 });
-      }
-    } catch (error) {
-      this.logger.warn('NAR scraping failed:', error.message);
+  // Different strategies based on region and type
+  getSources(symbol, property) {
+    switch (property.kind) {
+      case 'us_median_home_price':
+        return [
+          // FRED API (Federal Reserve Economic Data)
+          {
+            name: 'FRED',
+            reliability: 0.95,
+            enabled: Boolean(process.env.FRED_API_KEY),
+            fetch: () => this.getFredHousingPrice(property.sources.fred)
+          },
+          { name: 'Zillow Research', reliability: 0.90, fetch: () => this.getZillowResearchData() },
+          { name: 'Redfin', reliability: 0.88, fetch: () => this.getRedfinData() },
+          // NAR (National Association of Realtors)
+          { name: 'NAR', reliability: 0.92, fetch: () => this.scrapeNarData() }
+        ];
+      case 'ca_median_home_price':
+        return [
+          // Both publish in Canadian dollars
+          { name: 'Statistics Canada', reliability: 0.95, currency: 'CAD', fetch: () => this.getStatCanHousingPrice() },
+          // CREA (Canadian Real Estate Association)
+          { name: 'CREA', reliability: 0.90, currency: 'CAD', fetch: () => this.scrapeCreaData() }
+        ];
+      case 'nyc_price_per_sqft':
+        return [
+          { name: 'NYC Open Data', reliability: 0.92, unit: 'sqft', fetch: () => this.getNycOpenDataPrice(property.sources.nycOpenData) },
+          { name: 'StreetEasy', reliability: 0.88, unit: 'sqft', fetch: () => this.scrapeStreetEasyData() }
+        ];
+      default:
+        this.logger.warn(`Unknown real estate kind for ${symbol}: ${property.kind}`);
+        return [];
     }
-
-    return sources;
   }
 
-  async collectCanadaHousingPrices() {
-    const sources = [];
+  getHistorySources(symbol, property) {
+    if (property.kind !== 'us_median_home_price') return [];
 
-    // Source 1: Statistics Canada
-    try {
-      const statCanPrice = await this.getStatCanHousingPrice();
-      if (statCanPrice) {
-        sources.push({ source: 'Statistics Canada', price: statCanPrice, reliability: 0.95 });
+    return [
+      {
+        name: 'FRED',
+        enabled: Boolean(process.env.FRED_API_KEY),
+        fetch: from => this.getFredHistory(property.sources.fred || 'MSPUS', from)
       }
-    } catch (error) {
-      this.logger.warn('Statistics Canada failed:', error.message);
-    }
-
-    // Source 2: CREA (Canadian Real Estate Association)
-    try {
-      const creaPrice = await this.scrapeCreaData();
-      if (creaPrice) {
-        sources.push({ source: 'CREA', price: creaPrice, reliability: 0.90 });
-      }
-    } catch (error) {
-      this.logger.warn('CREA scraping failed:', error.message);
-    }
-
-    return sources;
+    ];
   }
 
-  async collectNYCPricesPerSqft() {
-    const sources = [];
-
-    // Source 1: NYC Open Data
-    try {
-      const nycOpenDataPrice = await this.getNycOpenDataPrice();
-      if (nycOpenDataPrice) {
-        sources.push({ source: 'NYC Open Data', price: nycOpenDataPrice, reliability: 0.92 });
-      }
-    } catch (error) {
-      this.logger.warn('NYC Open Data failed:', error.message);
-    }
-
-    // Source 2: StreetEasy Market Data
-    try {
-      const streetEasyPrice = await this.scrapeStreetEasyData();
-      if (streetEasyPrice) {
-        sources.push({ source: 'StreetEasy', price: streetEasyPrice, reliability: 0.88 });
-      }
-    } catch (error) {
-      this.logger.warn('StreetEasy scraping failed:', error.message);
-    }
+  // Every observation of the series since `from` (MSPUS is quarterly)
+  async getFredHistory(seriesId, from) {
+    const response = await this.http.get('https://api.stlouisfed.org/fred/series/observations', {
+      params: {
+        series_id: seriesId,
+        api_key: process.env.FRED_API_KEY,
+        file_type: 'json',
+        observation_start: new Date(from).toISOString().slice(0, 10)
+      },
+      timeout: 30000
+    });
 
-    return sources;
+    // Missing observations are reported as "."
+    return (response.data.observations || [])
+      .filter(observation => observation.value !== '.')
+      .map(observation => ({ timestamp: Date.parse(observation.date), price: parseFloat(observation.value) }));
   }
 
-  async getFredHousingPrice() {
+  async getFredHousingPrice(seriesId = 'MSPUS') {
     // FRED API for median home sale price (MSPUS)
     const apiKey = process.env.FRED_API_KEY;
     if (!apiKey) return null;
 
     try {
-      const response = await axios.get('https://api.stlouisfed.org/fred/series/observations', {
+      const response = await this.http.get('https://api.stlouisfed.org/fred/series/observations', {
         params: {
-          series_id: 'MSPUS', // Median Sales Price of Houses Sold for the United States
+          series_id: seriesId, // MSPUS: Median Sales Price of Houses Sold for the United States
           api_key: apiKey,
           file_type: 'json',
           limit: 1,
@@ -220,6 +104,7 @@ class RealEstateCollector {
 
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
@@ -228,17 +113,15 @@ class RealEstateCollector {
     // Note: Zillow's API was discontinued, but they provide research data
     // This would require scraping their research pages or using alternative sources
     try {
-      const response = await axios.get('https://www.zillow.com/research/data/', {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await this.http.get('https://www.zillow.com/research/data/', {
+        timeout: 15000
       });
 
       // This would need sophisticated parsing of Zillow's research data
       // For now, return null as placeholder
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
@@ -246,11 +129,8 @@ class RealEstateCollector {
   async getRedfinData() {
     // Redfin Data Center provides market data
     try {
-      const response = await axios.get('https://www.redfin.com/news/data-center/', {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await this.http.get('https://www.redfin.com/news/data-center/', {
+        timeout: 15000
       });
 
       const $ = cheerio.load(response.data);
@@ -271,6 +151,7 @@ class RealEstateCollector {
 
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
@@ -278,16 +159,14 @@ class RealEstateCollector {
   async scrapeNarData() {
     // National Association of Realtors data
     try {
-      const response = await axios.get('https://www.nar.realtor/research-and-statistics', {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await this.http.get('https://www.nar.realtor/research-and-statistics', {
+        timeout: 15000
       });
 
       // This would need specific parsing for NAR's data format
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
@@ -295,16 +174,14 @@ class RealEstateCollector {
   async getStatCanHousingPrice() {
     // Statistics Canada housing price index
     try {
-      const response = await axios.get('https://www150.statcan.gc.ca/t1/tbl1/en/tv.action?pid=1810020501', {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await this.http.get('https://www150.statcan.gc.ca/t1/tbl1/en/tv.action?pid=1810020501', {
+        timeout: 15000
       });
 
       // This would need specific parsing for Statistics Canada's format
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
@@ -312,11 +189,8 @@ class RealEstateCollector {
   async scrapeCreaData() {
     // Canadian Real Estate Association data
     try {
-      const response = await axios.get('https://www.crea.ca/housing-market-stats/', {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await this.http.get('https://www.crea.ca/housing-market-stats/', {
+        timeout: 15000
       });
 
       const $ = cheerio.load(response.data);
@@ -337,14 +211,15 @@ class RealEstateCollector {
 
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
 
-  async getNycOpenDataPrice() {
+  async getNycOpenDataPrice(datasetId = 'bc8t-ecyu') {
     // NYC Open Data for real estate transactions
     try {
-      const response = await axios.get('https://data.cityofnewyork.us/resource/bc8t-ecyu.json', {
+      const response = await this.http.get(`https://data.cityofnewyork.us/resource/${datasetId}.json`, {
         params: {
           '$limit': 1000,
           '$order': 'sale_date DESC',
@@ -370,6 +245,7 @@ class RealEstateCollector {
 
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
@@ -377,11 +253,8 @@ class RealEstateCollector {
   async scrapeStreetEasyData() {
     // StreetEasy market data for NYC
     try {
-      const response = await axios.get('https://streeteasy.com/blog/data-dashboard/', {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
+      const response = await this.http.get('https://streeteasy.com/blog/data-dashboard/', {
+        timeout: 15000
       });
 
       const $ = cheerio.load(response.data);
@@ -402,61 +275,10 @@ class RealEstateCollector {
 
       return null;
     } catch (error) {
+      this.rethrowIfDown(error);
       return null;
     }
   }
-
-  verifyAndConsolidate(sources) {
-    if (sources.length === 1) {
-      return {
-        price: sources[0].price,
-        primarySource: sources[0].source,
-        verified: false,
-        variance: 0
-      };
-    }
-
-    // Calculate weighted average
-    let totalWeight = 0;
-    let weightedSum = 0;
-    
-    sources.forEach(source => {
-      totalWeight += source.reliability;
-      weightedSum += source.price * source.reliability;
-    });
-    
-    const weightedAverage = weightedSum / totalWeight;
-    
-    // Calculate variance
-    const prices = sources.map(s => s.price);
-    const mean = prices.reduce((a, b) => a + b) / prices.length;
-    const variance = prices.reduce((acc, price) => acc + Math.pow(price - mean, 2), 0) / prices.length;
-    const standardDeviation = Math.sqrt(variance);
-    const coefficientOfVariation = standardDeviation / mean;
-    
-    // Real estate can have some variance due to timing and methodology
-    const verified = coefficientOfVariation < 0.10; // 10% threshold
-    
-    const primarySource = sources.sort((a, b) => b.reliability - a.reliability)[0];
-    
-    this.logger.info(`Real estate price verification: CV=${(coefficientOfVariation * 100).toFixed(2)}%, verified=${verified}`);
-    
-    return {
-      price: verified ? weightedAverage : primarySource.price,
-      primarySource: primarySource.source,
-      verified,
-      variance: coefficientOfVariation
-    };
-  }
-
-  getStatus() {
-    return {
-      name: this.name,
-      status: this.status,
-      lastUpdate: this.lastUpdate,
-      symbols: Object.keys(this.properties).length
-    };
-  }
 }
 
 module.exports = RealEstateCollector;
\ No newline at end of file
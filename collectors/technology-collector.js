@@ -0,0 +1,227 @@
+const cheerio = require('cheerio');
+const BaseCollector = require('./base-collector');
+
+const CONDITIONS = ['new', 'used', 'refurbished'];
+
+// eBay's LH_ItemCondition filter values
+const EBAY_CONDITION_CODES = {
+  new: 1000,
+  refurbished: 2500,
+  used: 3000
+};
+
+class TechnologyCollector extends BaseCollector {
+  constructor(logger, items = []) {
+    // Retail prices for the same condition should be close; street prices drift a little
+    super(logger, {
+      name: 'Technology Collector',
+      currency: 'USD',
+      policy: { threshold: 0.05, minSources: 2, outlierRule: 'mad' },
+      schedule: { cron: '0 */6 * * *', calendar: 'always' }
+    });
+
+    items.forEach(item => this.addItem(item));
+  }
+
+  getSources(symbol, product) {
+    const searchTerms = product.sources.searchTerms || [product.name];
+
+    return [
+      // Best Buy Products API (new)
+      {
+        name: 'Best Buy',
+        reliability: 0.92,
+        condition: 'new',
+        enabled: Boolean(process.env.BESTBUY_API_KEY),
+        fetch: () => this.getBestBuyPrice(searchTerms)
+      },
+      // eBay sold listings, one query per condition
+      ...CONDITIONS.map(condition => ({
+        name: `eBay Sold (${condition})`,
+        reliability: 0.85,
+        condition,
+        fetch: () => this.scrapeEbaySoldListings(searchTerms[0], condition)
+      })),
+      // Back Market (refurbished)
+      { name: 'Back Market', reliability: 0.86, condition: 'refurbished', fetch: () => this.scrapeBackMarket(searchTerms[0]) },
+      // Swappa (used, phones and consoles only)
+      {
+        name: 'Swappa',
+        reliability: 0.88,
+        condition: 'used',
+        enabled: Boolean(product.sources.swappa),
+        fetch: () => this.scrapeSwappa(product.sources.swappa)
+      }
+    ];
+  }
+
+  isValidPrice(price, product) {
+    const [min, max] = product.sanityRange || [0, Infinity];
+    return super.isValidPrice(price, product) && price >= min && price <= max;
+  }
+
+  buildResult(symbol, product, quotes) {
+    const tracked = product.condition || 'new';
+
+    // Consolidate each condition separately; new and used prices must never be averaged together
+    const conditions = {};
+    let primary = null;
+    CONDITIONS.forEach(condition => {
+      const conditionQuotes = quotes.filter(q => q.condition === condition);
+      if (conditionQuotes.length === 0) return;
+
+      const consolidated = this.verifyAndConsolidate(conditionQuotes, `${symbol} (${condition})`);
+      conditions[condition] = {
+        price: consolidated.price,
+        source: consolidated.primarySource,
+        verified: consolidated.verified,
+        sources: conditionQuotes.length
+      };
+
+      // The tracked series follows one condition (new by default); the others are metadata
+      if (condition === tracked) {
+        primary = { ...consolidated, sources: conditionQuotes.length };
+      }
+    });
+
+    if (!primary) {
+      return this.failure(symbol, `No ${tracked}-condition sources available`, { conditions });
+    }
+
+    return {
+      symbol,
+      success: true,
+      price: primary.price,
+      source: primary.primarySource,
+      verified: primary.verified,
+      sources: primary.sources,
+      variance: primary.variance,
+      rejected: primary.rejected,
+      quotes,
+      condition: tracked,
+      conditions
+    };
+  }
+
+  async getBestBuyPrice(searchTerms) {
+    // Search terms become AND-ed keyword filters, e.g. products(search=rtx&search=4090)
+    const keywords = searchTerms[0].split(/\s+/).map(word => `search=${encodeURIComponent(word)}`).join('&');
+
+    const response = await this.http.get(`https://api.bestbuy.com/v1/products(${keywords})`, {
+      params: {
+        apiKey: process.env.BESTBUY_API_KEY,
+        show: 'sku,name,salePrice,condition',
+        format: 'json',
+        pageSize: 10
+      },
+      timeout: 10000
+    });
+
+    const prices = (response.data.products || [])
+      .filter(p => !p.condition || p.condition.toLowerCase() === 'new')
+      .map(p => p.salePrice)
+      .filter(price => price > 0)
+      .sort((a, b) => a - b);
+
+    // Median of matching listings to skip accessories and bundles
+    return prices.length > 0 ? prices[Math.floor(prices.length / 2)] : null;
+  }
+
+  async scrapeEbaySoldListings(searchTerm, condition) {
+    try {
+      const response = await this.http.get('https://www.ebay.com/sch/i.html', {
+        params: {
+          _nkw: searchTerm,
+          LH_Sold: 1,
+          LH_Complete: 1,
+          LH_ItemCondition: EBAY_CONDITION_CODES[condition]
+        },
+        timeout: 20000
+      });
+
+      const $ = cheerio.load(response.data);
+
+      // Look for sold prices
+      const priceElements = $('.s-item__price');
+      const prices = [];
+
+      priceElements.each((i, element) => {
+        if (i < 20) { // Only look at the most recent results
+          const priceText = $(element).text().trim();
+          // Ranges ("$800 to $900") are skipped
+          if (!priceText.includes(' to ')) {
+            const price = parseFloat(priceText.replace(/[^0-9.]/g, ''));
+            if (price > 0) {
+              prices.push(price);
+            }
+          }
+        }
+      });
+
+      if (prices.length > 0) {
+        // Return median of recent sold prices
+        prices.sort((a, b) => a - b);
+        return prices[Math.floor(prices.length / 2)];
+      }
+
+      return null;
+    } catch (error) {
+      this.rethrowIfDown(error);
+      return null;
+    }
+  }
+
+  async scrapeBackMarket(searchTerm) {
+    try {
+      const response = await this.http.get('https://www.backmarket.com/en-us/search', {
+        params: { q: searchTerm },
+        timeout: 20000
+      });
+
+      return this.parseJsonLdPrice(response.data);
+    } catch (error) {
+      this.rethrowIfDown(error);
+      return null;
+    }
+  }
+
+  async scrapeSwappa(slug) {
+    try {
+      const response = await this.http.get(`https://swappa.com/listings/${slug}`, {
+        timeout: 20000
+      });
+
+      return this.parseJsonLdPrice(response.data);
+    } catch (error) {
+      this.rethrowIfDown(error);
+      return null;
+    }
+  }
+
+  // Both marketplaces publish schema.org Product offers; take the lowest offer price
+  parseJsonLdPrice(html) {
+    const $ = cheerio.load(html);
+    const prices = [];
+
+    $('script[type="application/ld+json"]').each((i, element) => {
+      try {
+        const data = JSON.parse($(element).contents().text());
+        const products = [].concat(data).filter(entry => entry && entry.offers);
+
+        products.forEach(product => {
+          const offers = product.offers;
+          const price = parseFloat(offers.lowPrice || offers.price);
+          if (price > 0) {
+            prices.push(price);
+          }
+        });
+      } catch (error) {
+        // Ignore malformed JSON-LD blocks
+      }
+    });
+
+    return prices.length > 0 ? Math.min(...prices) : null;
+  }
+}
+
+module.exports = TechnologyCollector;
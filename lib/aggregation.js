@@ -0,0 +1,78 @@
+// Bucket sizes supported by the historical API
+const INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000
+};
+
+const AGGREGATIONS = ['ohlc', 'last', 'mean'];
+
+// The epoch starts on a Thursday; shift weekly buckets so they open on Monday (UTC)
+const WEEK_OFFSET = 4 * 24 * 60 * 60 * 1000;
+
+function getBucketStart(timestamp, interval) {
+  const size = INTERVALS[interval];
+  const offset = interval === '1w' ? WEEK_OFFSET : 0;
+  return Math.floor((timestamp - offset) / size) * size + offset;
+}
+
+// Group time-ordered points into candles. `price` carries the value picked by `agg`
+// so callers that only plot a line can keep reading a single field.
+// Inputs may be raw points or finer candles (rollups), so OHLC fields are honoured when present.
+function aggregatePoints(points, { interval, agg = 'ohlc' }) {
+  if (!INTERVALS[interval]) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
+  if (!AGGREGATIONS.includes(agg)) {
+    throw new Error(`Unsupported aggregation: ${agg}`);
+  }
+
+  const candles = [];
+  let current = null;
+
+  points.forEach(point => {
+    const bucket = getBucketStart(point.timestamp, interval);
+    const count = point.count || 1;
+    const verifiedRatio = point.verifiedRatio !== undefined ? point.verifiedRatio : (point.verified ? 1 : 0);
+
+    if (!current || current.timestamp !== bucket) {
+      current = {
+        timestamp: bucket,
+        open: point.open !== undefined ? point.open : point.price,
+        high: -Infinity,
+        low: Infinity,
+        close: null,
+        sum: 0,
+        count: 0,
+        verifiedCount: 0
+      };
+      candles.push(current);
+    }
+
+    current.high = Math.max(current.high, point.high !== undefined ? point.high : point.price);
+    current.low = Math.min(current.low, point.low !== undefined ? point.low : point.price);
+    current.close = point.close !== undefined ? point.close : point.price;
+    current.sum += (point.mean !== undefined ? point.mean : point.price) * count;
+    current.count += count;
+    current.verifiedCount += verifiedRatio * count;
+  });
+
+  return candles.map(candle => {
+    const mean = candle.sum / candle.count;
+
+    return {
+      timestamp: candle.timestamp,
+      price: agg === 'mean' ? mean : candle.close,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      mean,
+      count: candle.count,
+      verifiedRatio: candle.verifiedCount / candle.count
+    };
+  });
+}
+
+module.exports = { INTERVALS, AGGREGATIONS, getBucketStart, aggregatePoints };
@@ -0,0 +1,70 @@
+const axios = require('axios');
+
+// Delivery channels for fired alerts. Each channel has `configured` (whether it can deliver at all)
+// and `send(event)`; add a channel by adding an entry here.
+function createChannels({ publish, push }) {
+  let transport = null;
+
+  return {
+    // Pushed to dashboards over /api/stream and /api/ws, where it is shown as a notification
+    dashboard: {
+      configured: true,
+      async send(event) {
+        publish(event);
+      }
+    },
+
+    // Web Push to browsers that enabled notifications, so alerts arrive with the dashboard closed
+    push: {
+      configured: true,
+      async send(event) {
+        const delivered = await push.send({
+          title: `Price alert: ${event.symbol}`,
+          body: event.message,
+          tag: `alert-${event.ruleId}`
+        });
+        if (delivered === 0) throw new Error('No browser subscribed to push notifications');
+      }
+    },
+
+    // POSTs the event as JSON; a rule can override ALERT_WEBHOOK_URL with its own `webhookUrl`
+    webhook: {
+      configured: Boolean(process.env.ALERT_WEBHOOK_URL),
+      async send(event, rule) {
+        const url = rule.webhookUrl || process.env.ALERT_WEBHOOK_URL;
+        if (!url) throw new Error('No webhook URL configured');
+
+        await axios.post(url, event, { timeout: 10000 });
+      }
+    },
+
+    // SMTP via nodemailer; a rule can override ALERT_EMAIL_TO with its own `email`
+    email: {
+      configured: Boolean(process.env.SMTP_HOST),
+      async send(event, rule) {
+        const to = rule.email || process.env.ALERT_EMAIL_TO;
+        if (!process.env.SMTP_HOST || !to) throw new Error('SMTP_HOST and a recipient are required');
+
+        if (!transport) {
+          // Loaded on first use so the agent runs without nodemailer when email is not set up
+          const nodemailer = require('nodemailer');
+          transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+          });
+        }
+
+        await transport.sendMail({
+          from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+          to,
+          subject: `Price alert: ${event.message}`,
+          text: `${event.message}\n\nRule: ${event.ruleId}\nTime: ${new Date(event.timestamp).toISOString()}`
+        });
+      }
+    }
+  };
+}
+
+module.exports = { createChannels };
@@ -0,0 +1,304 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const MAX_EVENTS = 200;
+
+// Each alert type: the parameters it requires and how it is checked against a collection result.
+// `check` returns a message when the alert should fire, or null.
+const ALERT_TYPES = {
+  above: {
+    params: ['threshold'],
+    check: (rule, { price }) => price > rule.threshold
+      ? `${rule.symbol} is above ${rule.threshold}: ${formatPrice(price)}`
+      : null
+  },
+
+  below: {
+    params: ['threshold'],
+    check: (rule, { price }) => price < rule.threshold
+      ? `${rule.symbol} is below ${rule.threshold}: ${formatPrice(price)}`
+      : null
+  },
+
+  // Move of at least `percent` over the last `windowHours`; `direction` is up, down or any
+  change: {
+    params: ['percent', 'windowHours'],
+    history: rule => rule.windowHours * HOUR,
+    check: (rule, { price, history }) => {
+      if (history.length === 0) return null;
+
+      const reference = history[0].price;
+      const change = (price - reference) / reference * 100;
+      const direction = rule.direction || 'any';
+      const moved = direction === 'up' ? change >= rule.percent
+        : direction === 'down' ? change <= -rule.percent
+          : Math.abs(change) >= rule.percent;
+
+      return moved
+        ? `${rule.symbol} moved ${change >= 0 ? '+' : ''}${change.toFixed(2)}% in ${rule.windowHours}h to ${formatPrice(price)}`
+        : null;
+    }
+  },
+
+  high: {
+    params: ['days'],
+    history: rule => rule.days * DAY,
+    check: (rule, { price, history }) => {
+      if (history.length === 0) return null;
+      const high = Math.max(...history.map(point => point.high !== undefined ? point.high : point.price));
+      return price > high ? `${rule.symbol} hit a new ${rule.days}-day high: ${formatPrice(price)}` : null;
+    }
+  },
+
+  low: {
+    params: ['days'],
+    history: rule => rule.days * DAY,
+    check: (rule, { price, history }) => {
+      if (history.length === 0) return null;
+      const low = Math.min(...history.map(point => point.low !== undefined ? point.low : point.price));
+      return price < low ? `${rule.symbol} hit a new ${rule.days}-day low: ${formatPrice(price)}` : null;
+    }
+  },
+
+  // Sources were collected but disagreed beyond the category's threshold
+  disagreement: {
+    params: [],
+    check: (rule, { result }) => !result.verified && result.sources >= 2
+      ? `${rule.symbol} sources disagree (CV ${(result.variance * 100).toFixed(2)}%, ${result.sources} sources)`
+      : null
+  }
+};
+
+function formatPrice(price) {
+  return price >= 1 ? price.toFixed(2) : price.toPrecision(4);
+}
+
+// One address, no display name or list, so a rule cannot fan a message out to several recipients
+const EMAIL_PATTERN = /^[^\s@<>()\[\],;:"]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+
+// Problems with a rule's own webhook URL. The agent POSTs to it, so when ALERT_WEBHOOK_HOSTS lists
+// hosts (comma-separated) only those are accepted.
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return ['webhookUrl must be an http or https URL'];
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return ['webhookUrl must be an http or https URL'];
+
+  const hosts = (process.env.ALERT_WEBHOOK_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  if (hosts.length > 0 && !hosts.includes(url.hostname.toLowerCase())) {
+    return [`webhookUrl host must be one of: ${hosts.join(', ')}`];
+  }
+  return [];
+}
+
+// Problems with an alert rule (empty when valid); `channels` are the names the engine can deliver to
+function validateAlert(rule, channels) {
+  if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+    return ['alert must be an object'];
+  }
+
+  const errors = [];
+  if (typeof rule.symbol !== 'string' || rule.symbol.trim() === '') {
+    errors.push('symbol is required');
+  }
+
+  const type = ALERT_TYPES[rule.type];
+  if (!type) {
+    errors.push(`type must be one of: ${Object.keys(ALERT_TYPES).join(', ')}`);
+  } else {
+    type.params.forEach(param => {
+      const value = rule[param];
+      const valid = param === 'threshold' ? typeof value === 'number' && Number.isFinite(value) : typeof value === 'number' && value > 0;
+      if (!valid) errors.push(`${param} must be a ${param === 'threshold' ? 'number' : 'positive number'} for ${rule.type} alerts`);
+    });
+  }
+
+  if (rule.direction !== undefined && !['up', 'down', 'any'].includes(rule.direction)) {
+    errors.push('direction must be one of: up, down, any');
+  }
+  if (rule.channels !== undefined && !(Array.isArray(rule.channels) && rule.channels.length > 0 && rule.channels.every(name => channels.includes(name)))) {
+    errors.push(`channels must be a non-empty array of: ${channels.join(', ')}`);
+  }
+  if (rule.cooldownMinutes !== undefined && !(typeof rule.cooldownMinutes === 'number' && rule.cooldownMinutes >= 0)) {
+    errors.push('cooldownMinutes must be a non-negative number');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (rule.webhookUrl !== undefined) {
+    errors.push(...(typeof rule.webhookUrl === 'string' ? validateWebhookUrl(rule.webhookUrl) : ['webhookUrl must be an http or https URL']));
+  }
+  if (rule.email !== undefined && !(typeof rule.email === 'string' && rule.email.length <= 254 && EMAIL_PATTERN.test(rule.email))) {
+    errors.push('email must be a valid email address');
+  }
+
+  return errors;
+}
+
+// Alert rules and the events they fired, persisted to ALERTS_PATH. Rules are evaluated against
+// each collection cycle's results and delivered to their channels, at most once per cooldown.
+class AlertEngine {
+  constructor(logger, channels, getHistory, filePath = process.env.ALERTS_PATH || './data/alerts.json') {
+    this.logger = logger;
+    this.channels = channels;
+    this.getHistory = getHistory;
+    this.filePath = filePath;
+    this.defaultCooldown = parseFloat(process.env.ALERT_COOLDOWN_MINUTES) || 60;
+
+    this.rules = new Map();
+    this.events = [];
+  }
+
+  async load() {
+    try {
+      if (!(await fs.pathExists(this.filePath))) return;
+
+      const { rules = [], events = [] } = await fs.readJson(this.filePath);
+      rules.forEach(rule => this.rules.set(rule.id, rule));
+      this.events = events;
+      this.logger.info(`Loaded ${this.rules.size} alert rules`);
+    } catch (error) {
+      this.logger.warn('Failed to load alert rules:', error.message);
+    }
+  }
+
+  async save() {
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, { rules: this.getRules(), events: this.events }, { spaces: 2 });
+  }
+
+  getChannelNames() {
+    return Object.keys(this.channels);
+  }
+
+  validate(rule) {
+    return validateAlert(rule, this.getChannelNames());
+  }
+
+  getRules() {
+    return Array.from(this.rules.values());
+  }
+
+  getRule(id) {
+    return this.rules.get(id) || null;
+  }
+
+  // Fills in defaults for a validated rule; `existing` keeps the id and firing state on update
+  setRule(rule, existing = null) {
+    const stored = {
+      channels: ['dashboard', 'push'],
+      enabled: true,
+      ...existing,
+      ...rule,
+      id: existing ? existing.id : crypto.randomUUID(),
+      createdAt: existing ? existing.createdAt : Date.now(),
+      lastTriggered: existing ? existing.lastTriggered : null
+    };
+
+    this.rules.set(stored.id, stored);
+    return stored;
+  }
+
+  removeRule(id) {
+    return this.rules.delete(id);
+  }
+
+  getEvents(limit = 50) {
+    return this.events.slice(-limit).reverse();
+  }
+
+  // results: collector results of one cycle, collected at `now`; only successful ones are checked.
+  // Points stored from `now` on are this cycle's own and are not part of the compared history.
+  async evaluate(results, now = Date.now()) {
+    let fired = 0;
+
+    for (const result of results) {
+      if (!result.success || !result.price) continue;
+
+      const rules = this.getRules().filter(rule => rule.enabled && rule.symbol === result.symbol);
+      for (const rule of rules) {
+        try {
+          const message = await this.check(rule, result, now);
+          if (message && !this.isCoolingDown(rule, now)) {
+            await this.fire(rule, result, message, now);
+            fired++;
+          }
+        } catch (error) {
+          this.logger.warn(`Failed to evaluate alert ${rule.id} for ${rule.symbol}:`, error.message);
+        }
+      }
+    }
+
+    if (fired > 0) {
+      await this.save();
+    }
+    return fired;
+  }
+
+  async check(rule, result, now) {
+    const type = ALERT_TYPES[rule.type];
+
+    // History before this cycle's point, for alerts that compare against the past
+    let history = [];
+    if (type.history) {
+      const points = await this.getHistory(rule.symbol, now - type.history(rule));
+      history = points.filter(point => point.timestamp < now);
+    }
+
+    return type.check(rule, { price: result.price, result, history });
+  }
+
+  isCoolingDown(rule, now) {
+    const cooldown = (rule.cooldownMinutes !== undefined ? rule.cooldownMinutes : this.defaultCooldown) * 60 * 1000;
+    return rule.lastTriggered !== null && now - rule.lastTriggered < cooldown;
+  }
+
+  async fire(rule, result, message, now) {
+    const event = {
+      type: 'alert',
+      ruleId: rule.id,
+      alertType: rule.type,
+      symbol: rule.symbol,
+      price: result.price,
+      message,
+      timestamp: now,
+      delivered: []
+    };
+
+    rule.lastTriggered = now;
+    this.logger.info(`Alert: ${message}`);
+
+    await Promise.all(rule.channels.map(async name => {
+      const channel = this.channels[name];
+      try {
+        await channel.send(event, rule);
+        event.delivered.push(name);
+      } catch (error) {
+        this.logger.warn(`Alert delivery via ${name} failed:`, error.message);
+      }
+    }));
+
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) {
+      this.events.splice(0, this.events.length - MAX_EVENTS);
+    }
+  }
+
+  getStatus() {
+    return {
+      rules: this.rules.size,
+      enabled: this.getRules().filter(rule => rule.enabled).length,
+      channels: Object.fromEntries(Object.entries(this.channels).map(([name, channel]) => [name, channel.configured])),
+      lastEvent: this.events.length > 0 ? this.events[this.events.length - 1].timestamp : null
+    };
+  }
+}
+
+module.exports = { AlertEngine, ALERT_TYPES, validateAlert };
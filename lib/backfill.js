@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getBucketStart } = require('./aggregation');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Seeds history from the collectors' history sources (see BaseCollector.getHistorySources). Each day
+// becomes a daily candle marked `source: 'backfill'`, written only where no tier has history for that
+// day yet, so a run never overwrites collected data and running again writes nothing new.
+// Finished symbols are recorded in BACKFILL_STATE_PATH and skipped by later runs over the same range,
+// so an interrupted run resumes with the symbols it had not reached.
+class HistoryBackfill {
+  constructor(logger, storage, filePath = process.env.BACKFILL_STATE_PATH || './data/backfill-state.json') {
+    this.logger = logger;
+    this.storage = storage;
+    this.filePath = filePath;
+    // symbol -> { from, to, source, written, completedAt }
+    this.state = {};
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        this.state = await fs.readJson(this.filePath);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load backfill state:', error.message);
+    }
+  }
+
+  async save() {
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, this.state, { spaces: 2 });
+  }
+
+  // Backfills `days` full days before today for each item; `force` ignores the recorded state
+  async run(collectors, items, { days, force = false, now = Date.now() }) {
+    // Today is still being collected
+    const to = getBucketStart(now, '1d');
+    const from = to - days * DAY;
+    const results = [];
+
+    for (const item of items) {
+      const collector = collectors[item.collector];
+      const sources = collector
+        ? collector.getHistorySources(item.symbol, item).filter(({ enabled = true }) => enabled)
+        : [];
+      if (sources.length === 0) continue;
+
+      const done = this.state[item.symbol];
+      if (!force && done && done.from <= from && done.to >= to) {
+        results.push({ symbol: item.symbol, source: done.source, written: 0, skipped: true });
+        continue;
+      }
+
+      const result = await this.backfillItem(item.symbol, sources, from, to);
+      results.push(result);
+
+      if (result.source) {
+        this.state[item.symbol] = { from, to, source: result.source, written: result.written, completedAt: now };
+        await this.save();
+      }
+    }
+
+    return results;
+  }
+
+  // Takes the first source that returns a series
+  async backfillItem(symbol, sources, from, to) {
+    const errors = [];
+
+    for (const source of sources) {
+      let series;
+      try {
+        series = await source.fetch(from, to);
+      } catch (error) {
+        this.logger.warn(`${source.name} history failed for ${symbol}:`, error.message);
+        errors.push(`${source.name}: ${error.message}`);
+        continue;
+      }
+
+      // One price per day; the last one of a day is its close
+      const byDay = new Map();
+      (series || [])
+        .filter(point => Number.isFinite(point.price) && point.price > 0 && point.timestamp >= from && point.timestamp < to)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(point => byDay.set(getBucketStart(point.timestamp, '1d'), point));
+
+      if (byDay.size === 0) {
+        errors.push(`${source.name}: no prices in range`);
+        continue;
+      }
+
+      const covered = await this.getCoveredDays(symbol, from, to);
+      const candles = Array.from(byDay)
+        .filter(([day]) => !covered.has(day))
+        .map(([day, point]) => ({
+          timestamp: day,
+          open: Number.isFinite(point.open) ? point.open : point.price,
+          high: Number.isFinite(point.high) ? point.high : point.price,
+          low: Number.isFinite(point.low) ? point.low : point.price,
+          close: point.price,
+          mean: point.price,
+          count: 1,
+          verifiedRatio: 0,
+          source: 'backfill'
+        }));
+
+      if (candles.length > 0) {
+        await this.storage.upsertCandles(symbol, '1d', candles);
+      }
+      this.logger.info(`Backfilled ${candles.length} days of ${symbol} from ${source.name} (${byDay.size - candles.length} already had history)`);
+      return { symbol, source: source.name, written: candles.length, existing: byDay.size - candles.length };
+    }
+
+    return { symbol, source: null, written: 0, error: errors.join('; ') };
+  }
+
+  // Day starts between `from` and `to` that have history in any tier
+  async getCoveredDays(symbol, from, to) {
+    const rows = [
+      ...await this.storage.query(symbol, { from, to: to - 1 }),
+      ...await this.storage.queryCandles(symbol, '1h', { from, to: to - 1 }),
+      ...await this.storage.queryCandles(symbol, '1d', { from, to: to - 1 })
+    ];
+    return new Set(rows.map(row => getBucketStart(row.timestamp, '1d')));
+  }
+}
+
+module.exports = { HistoryBackfill };
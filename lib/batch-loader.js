@@ -0,0 +1,51 @@
+// Coalesces single-key loads into batched requests. A collection cycle fans out over every item
+// at once, so each provider sees all the keys requested in that tick and is called once per batch.
+// Nothing is cached between batches: the next cycle loads fresh values.
+class BatchLoader {
+  // loadMany(keys) resolves to a Map of key -> value; keys missing from it resolve to undefined
+  constructor(loadMany, { maxBatchSize = 100 } = {}) {
+    this.loadMany = loadMany;
+    this.maxBatchSize = maxBatchSize;
+    this.pending = null;
+  }
+
+  load(key) {
+    if (!this.pending) {
+      this.pending = new Map();
+      setImmediate(() => this.dispatch());
+    }
+
+    if (!this.pending.has(key)) {
+      const entry = {};
+      entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      });
+      this.pending.set(key, entry);
+    }
+
+    return this.pending.get(key).promise;
+  }
+
+  async dispatch() {
+    const batch = this.pending;
+    this.pending = null;
+
+    const keys = Array.from(batch.keys());
+    const chunks = [];
+    for (let i = 0; i < keys.length; i += this.maxBatchSize) {
+      chunks.push(keys.slice(i, i + this.maxBatchSize));
+    }
+
+    await Promise.all(chunks.map(async chunk => {
+      try {
+        const values = await this.loadMany(chunk);
+        chunk.forEach(key => batch.get(key).resolve(values.get(key)));
+      } catch (error) {
+        chunk.forEach(key => batch.get(key).reject(error));
+      }
+    }));
+  }
+}
+
+module.exports = { BatchLoader };
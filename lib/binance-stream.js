@@ -0,0 +1,292 @@
+const WebSocket = require('ws');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULTS = {
+  url: process.env.BINANCE_WS_URL || 'wss://stream.binance.com:9443',
+  restUrl: process.env.BINANCE_REST_URL || 'https://api.binance.com',
+  priceInterval: 1000,          // at most one live price per symbol per interval
+  minReconnectDelay: 1000,
+  maxReconnectDelay: 60 * 1000,
+  staleAfter: 5 * MINUTE,       // no message or ping for this long means the connection is dead
+  maxBackfill: 24 * 60 * MINUTE // gaps longer than this are only backfilled for their last day
+};
+
+// Follows the Binance trade stream for a set of symbols (BTCUSDT, ...), keeps the last price and
+// builds 1-minute candles from the trades. After a reconnect the minutes missed while disconnected
+// are fetched from the REST klines endpoint. The minute of the reconnect itself is built from the
+// trades seen after it.
+//
+// handlers.onPrice(symbol, price, timestamp) and handlers.onCandle(symbol, candle) receive the
+// exchange symbol; candle = { timestamp (minute start), open, high, low, close, volume, trades, backfilled }.
+class BinanceStream {
+  constructor(logger, http, handlers, options = {}) {
+    this.logger = logger;
+    this.http = http;
+    this.handlers = handlers;
+    this.options = { ...DEFAULTS, ...options };
+
+    this.symbols = [];
+    this.socket = null;
+    this.running = false;
+    this.connected = false;
+    this.reconnectDelay = this.options.minReconnectDelay;
+    this.reconnectTimer = null;
+    this.reconnects = 0;
+    this.lastMessage = null;
+
+    // symbol -> candle being built for the current minute
+    this.candles = new Map();
+    // symbol -> start of the last candle handed to onCandle
+    this.lastClosed = new Map();
+    // symbol -> { price, timestamp, emittedAt, pending } for the throttled live price
+    this.prices = new Map();
+  }
+
+  start(symbols) {
+    this.running = true;
+    this.symbols = [...new Set(symbols)];
+    this.timer = setInterval(() => this.tick(), 1000);
+    this.timer.unref();
+    this.connect();
+  }
+
+  // Resubscribing means a new connection; the gap is backfilled like any other reconnect
+  setSymbols(symbols) {
+    const next = [...new Set(symbols)];
+    if (next.length === this.symbols.length && next.every(symbol => this.symbols.includes(symbol))) return;
+
+    this.symbols = next;
+    if (!this.running) return;
+    if (this.socket) {
+      this.socket.terminate();
+    } else if (!this.reconnectTimer) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    if (!this.running) return;
+    if (this.symbols.length === 0) {
+      this.logger.info('Binance stream idle: no symbols to follow');
+      return;
+    }
+
+    const streams = this.symbols.map(symbol => `${symbol.toLowerCase()}@trade`).join('/');
+    const socket = new WebSocket(`${this.options.url}/stream?streams=${streams}`);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      const resumed = this.reconnects > 0;
+      this.connected = true;
+      this.lastMessage = Date.now();
+      this.reconnectDelay = this.options.minReconnectDelay;
+      this.logger.info(`Binance stream connected for ${this.symbols.length} symbols`);
+      if (resumed) this.backfillAll();
+    });
+
+    socket.on('message', data => {
+      this.lastMessage = Date.now();
+      this.handleMessage(data);
+    });
+
+    socket.on('ping', () => {
+      this.lastMessage = Date.now();
+    });
+
+    socket.on('error', error => {
+      this.logger.warn('Binance stream error:', error.message);
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.connected = false;
+
+      // Trades missed while disconnected would leave these candles wrong; backfill replaces them,
+      // starting at the dropped candle's minute for symbols that have not closed one yet
+      this.candles.forEach((candle, symbol) => {
+        if (!this.lastClosed.has(symbol)) this.lastClosed.set(symbol, candle.timestamp - MINUTE);
+      });
+      this.candles.clear();
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.running || this.reconnectTimer) return;
+
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.options.maxReconnectDelay);
+    this.reconnects++;
+    this.logger.warn(`Binance stream disconnected, reconnecting in ${delay}ms`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.logger.warn('Binance stream sent invalid JSON');
+      return;
+    }
+
+    // Combined streams wrap each event as { stream, data }
+    const event = message.data || message;
+    if (event.e !== 'trade') return;
+
+    const price = parseFloat(event.p);
+    const quantity = parseFloat(event.q);
+    if (!Number.isFinite(price) || price <= 0) return;
+
+    this.onTrade(event.s, price, Number.isFinite(quantity) ? quantity : 0, event.T || event.E || Date.now());
+  }
+
+  onTrade(symbol, price, quantity, timestamp) {
+    const minute = Math.floor(timestamp / MINUTE) * MINUTE;
+    let candle = this.candles.get(symbol);
+
+    if (candle && candle.timestamp < minute) {
+      this.closeCandle(symbol, candle);
+      candle = null;
+    }
+
+    // A trade for a minute that is already closed (or backfilled) arrived late
+    if (!candle && this.lastClosed.has(symbol) && minute <= this.lastClosed.get(symbol)) return;
+
+    if (!candle) {
+      candle = { timestamp: minute, open: price, high: price, low: price, close: price, volume: 0, trades: 0, backfilled: false };
+      this.candles.set(symbol, candle);
+    }
+
+    candle.high = Math.max(candle.high, price);
+    candle.low = Math.min(candle.low, price);
+    candle.close = price;
+    candle.volume += quantity;
+    candle.trades++;
+
+    const last = this.prices.get(symbol);
+    this.prices.set(symbol, { price, timestamp, emittedAt: last ? last.emittedAt : 0, pending: true });
+    this.emitPrice(symbol);
+  }
+
+  // Throttled; a price held back here is sent by tick() once the interval has passed
+  emitPrice(symbol, now = Date.now()) {
+    const entry = this.prices.get(symbol);
+    if (!entry.pending || now - entry.emittedAt < this.options.priceInterval) return;
+
+    entry.pending = false;
+    entry.emittedAt = now;
+    this.handlers.onPrice(symbol, entry.price, entry.timestamp);
+  }
+
+  closeCandle(symbol, candle) {
+    this.candles.delete(symbol);
+    this.lastClosed.set(symbol, candle.timestamp);
+    this.handlers.onCandle(symbol, candle);
+  }
+
+  // Closes candles whose minute has ended even if no later trade arrived, and drops dead connections
+  tick(now = Date.now()) {
+    this.candles.forEach((candle, symbol) => {
+      if (candle.timestamp + MINUTE <= now) this.closeCandle(symbol, candle);
+    });
+    this.prices.forEach((entry, symbol) => this.emitPrice(symbol, now));
+
+    if (this.connected && now - this.lastMessage > this.options.staleAfter) {
+      this.logger.warn('Binance stream went quiet, reconnecting');
+      this.socket.terminate();
+    }
+  }
+
+  async backfillAll() {
+    const currentMinute = Math.floor(Date.now() / MINUTE) * MINUTE;
+
+    for (const symbol of this.symbols) {
+      if (!this.lastClosed.has(symbol)) continue;
+
+      const from = Math.max(this.lastClosed.get(symbol) + MINUTE, currentMinute - this.options.maxBackfill);
+      if (from >= currentMinute) continue;
+
+      try {
+        const count = await this.backfill(symbol, from, currentMinute);
+        this.logger.info(`Backfilled ${count} minutes of ${symbol} from Binance REST`);
+      } catch (error) {
+        this.logger.warn(`Binance backfill failed for ${symbol}:`, error.message);
+      }
+    }
+  }
+
+  // Closed 1-minute klines with open time in [from, to)
+  async backfill(symbol, from, to) {
+    let start = from;
+    let count = 0;
+
+    while (start < to) {
+      const response = await this.http.get(`${this.options.restUrl}/api/v3/klines`, {
+        params: { symbol, interval: '1m', startTime: start, endTime: to - 1, limit: 1000 },
+        timeout: 10000
+      });
+
+      const klines = response.data || [];
+      if (klines.length === 0) break;
+
+      klines.forEach(([openTime, open, high, low, close, volume, , , trades]) => {
+        if (openTime < start || openTime >= to) return;
+
+        this.lastClosed.set(symbol, Math.max(this.lastClosed.get(symbol) || 0, openTime));
+        this.handlers.onCandle(symbol, {
+          timestamp: openTime,
+          open: parseFloat(open),
+          high: parseFloat(high),
+          low: parseFloat(low),
+          close: parseFloat(close),
+          volume: parseFloat(volume),
+          trades,
+          backfilled: true
+        });
+        count++;
+      });
+
+      start = klines[klines.length - 1][0] + MINUTE;
+    }
+
+    return count;
+  }
+
+  stop() {
+    this.running = false;
+    clearInterval(this.timer);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.terminate();
+    }
+    this.connected = false;
+  }
+
+  getStatus() {
+    const prices = {};
+    this.prices.forEach(({ price, timestamp }, symbol) => {
+      prices[symbol] = { price, timestamp };
+    });
+
+    return {
+      connected: this.connected,
+      url: this.options.url,
+      symbols: this.symbols,
+      reconnects: this.reconnects,
+      lastMessage: this.lastMessage,
+      prices
+    };
+  }
+}
+
+module.exports = { BinanceStream };
@@ -0,0 +1,72 @@
+const DEFAULTS = {
+  failureThreshold: 5,      // consecutive failures before the circuit opens
+  cooldown: 15 * 60 * 1000  // ms to leave an open circuit alone before probing it again
+};
+
+// Closed: requests flow. Open: the source is skipped until the cool-down ends. Half-open: one
+// probe request is let through; success closes the circuit, failure opens it for another cool-down.
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.downSince = null;
+    this.lastError = null;
+    this.probing = false;
+  }
+
+  // Whether a request may go out now; moves an expired open circuit to half-open
+  allowRequest(now = Date.now()) {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open') {
+      if (now - this.openedAt < this.options.cooldown) return false;
+      this.state = 'half-open';
+    }
+
+    // Only one probe at a time, however many items are collected in parallel
+    if (this.probing) return false;
+    this.probing = true;
+    return true;
+  }
+
+  // Returns the state transition this caused, if any: 'closed' or 'opened'
+  recordSuccess() {
+    const wasDown = this.state !== 'closed';
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.downSince = null;
+    this.lastError = null;
+    this.probing = false;
+    return wasDown ? 'closed' : null;
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.failures++;
+    this.lastError = error;
+    this.probing = false;
+    if (this.downSince === null) this.downSince = now;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.options.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = now;
+      return 'opened';
+    }
+    return null;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      downSince: this.downSince,
+      openedAt: this.openedAt,
+      nextProbe: this.state === 'open' ? this.openedAt + this.options.cooldown : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
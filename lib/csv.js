@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines (often trailing ones from spreadsheets) carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Rows as objects keyed by the header row, with header names trimmed and lower-cased
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+}
+
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvRow(values) {
+  return values.map(formatCsvField).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, parseCsvRecords, formatCsvRow };
@@ -0,0 +1,73 @@
+// Prices are collected, stored and served in this currency unless a request asks for another
+const BASE_CURRENCY = 'USD';
+
+// Fields of a point or candle that hold a price
+const PRICE_FIELDS = ['price', 'open', 'high', 'low', 'close', 'mean'];
+
+// Latest exchange rate of each currency, as the base-currency value of one unit (EUR -> 1.08).
+// Rates come from the FX collector's items; `symbol` is the item they are stored under.
+class FxRates {
+  constructor() {
+    this.rates = new Map();
+  }
+
+  setRate(currency, rate, timestamp, symbol) {
+    this.rates.set(currency, { rate, timestamp, symbol });
+  }
+
+  getRate(currency) {
+    if (currency === BASE_CURRENCY) return 1;
+    const entry = this.rates.get(currency);
+    return entry ? entry.rate : null;
+  }
+
+  getSymbol(currency) {
+    const entry = this.rates.get(currency);
+    return entry ? entry.symbol : null;
+  }
+
+  // Amount in the base currency, or null when there is no rate for `currency` yet
+  toBase(amount, currency) {
+    const rate = this.getRate(currency);
+    return rate === null ? null : amount * rate;
+  }
+
+  fromBase(amount, currency) {
+    const rate = this.getRate(currency);
+    return rate === null ? null : amount / rate;
+  }
+
+  getCurrencies() {
+    return [BASE_CURRENCY, ...Array.from(this.rates.keys()).sort()];
+  }
+
+  getStatus() {
+    return {
+      base: BASE_CURRENCY,
+      rates: Object.fromEntries(this.rates)
+    };
+  }
+}
+
+// Converts time-ordered points from the base currency, each at the rate in force at its timestamp:
+// the latest rate at or before it, or the earliest known rate for points older than every rate.
+// `rates` are time-ordered points of the currency's FX item (price = base value of one unit).
+function convertPoints(points, rates) {
+  if (rates.length === 0) return [];
+
+  let index = 0;
+  return points.map(point => {
+    while (index + 1 < rates.length && rates[index + 1].timestamp <= point.timestamp) {
+      index++;
+    }
+
+    const rate = rates[index].price;
+    const converted = { ...point, rate };
+    PRICE_FIELDS.forEach(field => {
+      if (typeof point[field] === 'number') converted[field] = point[field] / rate;
+    });
+    return converted;
+  });
+}
+
+module.exports = { BASE_CURRENCY, PRICE_FIELDS, FxRates, convertPoints };
@@ -0,0 +1,110 @@
+const ExcelJS = require('exceljs');
+const { formatCsvRow } = require('./csv');
+
+// Columns of every export. Raw points leave the candle fields empty.
+const EXPORT_COLUMNS = ['symbol', 'timestamp', 'time', 'resolution', 'price', 'open', 'high', 'low', 'close', 'mean', 'count', 'verified_ratio', 'source'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Excel refuses sheets longer than this (header row included)
+const XLSX_MAX_ROWS = 1048576;
+
+// An export row from a point or candle as returned by getHistoryRange or aggregatePoints;
+// `resolution` is the interval of the candles among them
+function toExportRow(symbol, point, resolution) {
+  const candle = point.open !== undefined;
+  return {
+    symbol,
+    timestamp: point.timestamp,
+    time: new Date(point.timestamp).toISOString(),
+    resolution: candle ? resolution : 'raw',
+    price: point.price,
+    open: point.open,
+    high: point.high,
+    low: point.low,
+    close: point.close,
+    mean: point.mean,
+    count: point.count,
+    verified_ratio: point.verifiedRatio !== undefined ? point.verifiedRatio : (point.verified ? 1 : 0),
+    source: point.source
+  };
+}
+
+// Resolves once `stream` has room again (or was closed by the client)
+function drained(stream) {
+  if (!stream.writableNeedDrain || stream.destroyed) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+// Writes batches of export rows to `stream` as they come; `end()` finishes the file and the stream
+function createExportWriter(format, stream) {
+  if (format === 'xlsx') return createXlsxWriter(stream);
+
+  const line = format === 'csv'
+    ? row => formatCsvRow(EXPORT_COLUMNS.map(column => row[column]))
+    : row => JSON.stringify(row) + '\n';
+  if (format === 'csv') stream.write(formatCsvRow(EXPORT_COLUMNS));
+
+  return {
+    async write(rows) {
+      if (rows.length === 0) return;
+      stream.write(rows.map(line).join(''));
+      await drained(stream);
+    },
+    async end() {
+      stream.end();
+    }
+  };
+}
+
+// Rows past Excel's limit continue on a new sheet
+function createXlsxWriter(stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  let sheet = null;
+  let sheets = 0;
+  let sheetRows = 0;
+
+  const addSheet = () => {
+    if (sheet) sheet.commit();
+    sheets++;
+    sheet = workbook.addWorksheet(sheets === 1 ? 'Prices' : `Prices ${sheets}`);
+    // Times as Excel dates so they sort and chart without parsing
+    sheet.columns = EXPORT_COLUMNS.map(key => key === 'time'
+      ? { header: key, key, width: 20, style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } }
+      : { header: key, key });
+    sheetRows = 1;
+  };
+  addSheet();
+
+  return {
+    async write(rows) {
+      rows.forEach(row => {
+        if (sheetRows >= XLSX_MAX_ROWS) addSheet();
+        sheet.addRow({ ...row, time: new Date(row.timestamp) }).commit();
+        sheetRows++;
+      });
+      // The zip is compressed asynchronously; let it reach the stream before checking for room
+      await new Promise(resolve => setImmediate(resolve));
+      await drained(stream);
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+module.exports = { EXPORT_COLUMNS, EXPORT_FORMATS, toExportRow, createExportWriter };
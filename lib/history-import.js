@@ -0,0 +1,296 @@
+const { parseCsvRecords } = require('./csv');
+const { getBucketStart, aggregatePoints } = require('./aggregation');
+
+// Export versions written by the dashboard's exportData()
+const EXPORT_VERSIONS = ['1.0'];
+
+// A stored raw point this close to an imported one is taken to be the same observation, e.g. the
+// dashboard's copy of a price the agent also stored a few seconds apart
+const DUPLICATE_WINDOW = 60 * 1000;
+
+const OHLC_FIELDS = ['open', 'high', 'low', 'close'];
+
+// Nothing tracked here has prices this old; an earlier time is a misread date or epoch
+const EARLIEST_TIMESTAMP = Date.UTC(1990, 0, 1);
+
+// Epoch seconds (9-10 digits) or milliseconds (11-13 digits), a compact YYYYMMDD date (UTC), or
+// anything Date.parse reads (ISO dates, "2024-01-15"). Other runs of digits are not guessed at.
+function parseTimestamp(value) {
+  const text = typeof value === 'number' ? String(value) : value;
+  if (typeof text !== 'string' || text.trim() === '') return NaN;
+  const trimmed = text.trim();
+
+  if (/^\d{9,13}(\.\d+)?$/.test(trimmed)) {
+    const number = Number(trimmed);
+    // Ten-digit numbers are seconds; milliseconds passed that size in 1973
+    return number < 1e11 ? number * 1000 : number;
+  }
+
+  const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(trimmed);
+  if (compact) {
+    const [year, month, day] = compact.slice(1).map(Number);
+    const timestamp = Date.UTC(year, month - 1, day);
+    // Date.UTC rolls 20240231 over into March
+    const date = new Date(timestamp);
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? timestamp : NaN;
+  }
+
+  // A bare year is ISO; any other number is ambiguous (Date.parse would read "-5" as May 2001)
+  if (/^[+-]?\d+(\.\d+)?$/.test(trimmed) && !/^\d{4}$/.test(trimmed)) return NaN;
+  return Date.parse(trimmed);
+}
+
+// Spreadsheet amounts may be formatted ("$1,234.50")
+function parsePrice(value) {
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' && value !== '' ? Number(value.replace(/[$,\s]/g, '')) : undefined;
+}
+
+function toRecord(fields) {
+  const record = {
+    symbol: typeof fields.symbol === 'string' ? fields.symbol.trim().toUpperCase() : '',
+    timestamp: parseTimestamp(fields.timestamp !== undefined ? fields.timestamp : fields.date)
+  };
+
+  const ohlc = OHLC_FIELDS.map(field => parsePrice(fields[field]));
+  if (ohlc.some(value => value !== undefined)) {
+    OHLC_FIELDS.forEach((field, index) => { record[field] = ohlc[index]; });
+    record.price = record.close;
+  } else {
+    record.price = parsePrice(fields.price);
+  }
+
+  if (typeof fields.source === 'string' && fields.source.trim() !== '') {
+    record.source = fields.source.trim();
+  }
+  return record;
+}
+
+// Returns a list of problems with a parsed record (empty when valid)
+function validateRecord(record, now = Date.now()) {
+  const errors = [];
+  const positive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  if (!/^[A-Z0-9][A-Z0-9._-]*$/.test(record.symbol)) {
+    errors.push('symbol is required');
+  }
+  if (!Number.isFinite(record.timestamp)) {
+    errors.push('timestamp must be a date or epoch time');
+  } else if (record.timestamp > now) {
+    errors.push('timestamp is in the future');
+  } else if (record.timestamp < EARLIEST_TIMESTAMP) {
+    errors.push('timestamp is before 1990');
+  }
+
+  if (OHLC_FIELDS.some(field => record[field] !== undefined)) {
+    const missing = OHLC_FIELDS.filter(field => !positive(record[field]));
+    if (missing.length > 0) {
+      errors.push(`${missing.join(', ')} must be ${missing.length === 1 ? 'a positive number' : 'positive numbers'}`);
+    } else if (record.low > Math.min(record.open, record.close) || record.high < Math.max(record.open, record.close)) {
+      errors.push('open and close must lie between low and high');
+    }
+  } else if (!positive(record.price)) {
+    errors.push('price must be a positive number');
+  }
+
+  return errors;
+}
+
+// Reads a history file: the dashboard's JSON export, a JSON array of records, a CSV of
+// symbol,timestamp,price[,source] or an OHLC CSV (symbol,timestamp,open,high,low,close[,source]).
+// `date` is accepted in place of `timestamp`. Errors name the row or point they came from.
+function parseHistoryFile(text, now = Date.now()) {
+  const body = text.replace(/^\uFEFF/, '').trim();
+  let format;
+  let entries;
+
+  if (body.startsWith('{') || body.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      return { format: 'json', records: [], errors: [`Not valid JSON: ${error.message}`] };
+    }
+
+    if (Array.isArray(data)) {
+      format = 'json';
+      entries = data.map((fields, index) => ({ label: `record ${index + 1}`, fields: fields || {} }));
+    } else if (data && typeof data.data === 'object' && data.data !== null) {
+      if (!EXPORT_VERSIONS.includes(data.version)) {
+        return { format: 'export', records: [], errors: [`Unsupported export version ${data.version}, expected ${EXPORT_VERSIONS.join(', ')}`] };
+      }
+      format = 'export';
+      entries = Object.entries(data.data).flatMap(([symbol, points]) => (Array.isArray(points) ? points : [])
+        .map((point, index) => ({ label: `${symbol} point ${index + 1}`, fields: { ...point, symbol } })));
+    } else {
+      return { format: 'json', records: [], errors: ['Expected a dashboard export or an array of records'] };
+    }
+  } else {
+    const rows = parseCsvRecords(body);
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    format = columns.includes('close') ? 'ohlc' : 'csv';
+
+    const required = ['symbol', columns.includes('date') ? 'date' : 'timestamp', format === 'ohlc' ? 'close' : 'price'];
+    const missing = required.filter(column => !columns.includes(column));
+    if (rows.length === 0 || missing.length > 0) {
+      return {
+        format,
+        records: [],
+        errors: ['CSV needs a header row and at least one price; columns: symbol, timestamp (or date), price or open, high, low, close, and optionally source']
+      };
+    }
+    // Row 1 is the header
+    entries = rows.map((fields, index) => ({ label: `row ${index + 2}`, fields }));
+  }
+
+  const records = [];
+  const errors = [];
+  entries.forEach(({ label, fields }) => {
+    const record = toRecord(fields);
+    const recordErrors = validateRecord(record, now);
+    if (recordErrors.length > 0) {
+      recordErrors.forEach(error => errors.push(`${label}: ${error}`));
+    } else {
+      records.push(record);
+    }
+  });
+
+  return { format, records, errors };
+}
+
+// Merges parsed records into storage. Each record goes to the tier that still keeps its age (see
+// RetentionManager.selectTier): recent prices are stored as raw points, older ones are rolled into
+// candles marked `source: 'import'`. Recent OHLC rows go into hourly candles too, since a raw
+// point would keep only their close, as do recent prices beyond a capped storage's raw capacity.
+// Nothing already stored is overwritten: a record is a duplicate when a raw point lies within
+// DUPLICATE_WINDOW of it, or, for candle tiers, when its bucket has history.
+class HistoryImport {
+  constructor(logger, storage, retention) {
+    this.logger = logger;
+    this.storage = storage;
+    this.retention = retention;
+  }
+
+  async run(records, { now = Date.now() } = {}) {
+    const bySymbol = new Map();
+    records.forEach(record => {
+      if (!bySymbol.has(record.symbol)) bySymbol.set(record.symbol, []);
+      bySymbol.get(record.symbol).push(record);
+    });
+
+    const symbols = {};
+    for (const [symbol, symbolRecords] of bySymbol) {
+      symbols[symbol] = await this.importSymbol(symbol, symbolRecords, now);
+    }
+
+    const total = field => Object.values(symbols).reduce((sum, result) => sum + result[field], 0);
+    return { imported: total('imported'), duplicates: total('duplicates'), symbols };
+  }
+
+  async importSymbol(symbol, records, now) {
+    // A file may list the same time twice (e.g. two exports pasted together); the first one counts
+    const unique = new Map();
+    records.forEach(record => {
+      if (!unique.has(record.timestamp)) unique.set(record.timestamp, record);
+    });
+    const sorted = Array.from(unique.values()).sort((a, b) => a.timestamp - b.timestamp);
+
+    const byTier = new Map();
+    const addToTier = (tier, record) => {
+      if (!byTier.has(tier)) byTier.set(tier, []);
+      byTier.get(tier).push(record);
+    };
+    sorted.forEach(record => {
+      const tier = this.retention ? this.retention.selectTier(record.timestamp, now) : 'raw';
+      addToTier(tier === 'raw' && record.open !== undefined ? '1h' : tier, record);
+    });
+
+    // Raw points the storage would trim straight away go into hourly candles instead of being lost
+    if (byTier.has('raw')) {
+      const { kept, overflow } = await this.fitRawCapacity(symbol, byTier.get('raw'));
+      byTier.set('raw', kept);
+      overflow.forEach(record => addToTier('1h', record));
+    }
+
+    const result = { imported: 0, duplicates: records.length - sorted.length, from: null, to: null };
+    // Raw first: appending can trim stored points, which the candle tiers must not take for history
+    const tiers = Array.from(byTier.keys()).sort((a, b) => (b === 'raw') - (a === 'raw'));
+    for (const tier of tiers) {
+      const tierRecords = byTier.get(tier);
+      if (tierRecords.length === 0) continue;
+      const merged = tier === 'raw'
+        ? await this.importPoints(symbol, tierRecords)
+        : await this.importCandles(symbol, tier, tierRecords);
+
+      result.imported += merged.length;
+      result.duplicates += tierRecords.length - merged.length;
+      if (merged.length > 0) {
+        result.from = result.from === null ? merged[0].timestamp : Math.min(result.from, merged[0].timestamp);
+        result.to = Math.max(result.to || 0, merged[merged.length - 1].timestamp);
+      }
+    }
+
+    this.logger.info(`Imported ${result.imported} prices for ${symbol} (${result.duplicates} duplicates skipped)`);
+    return result;
+  }
+
+  // Splits raw-tier records by whether they fit in a storage that keeps only its newest
+  // `maxPointsPerSymbol` raw points (the JSON adapter); the oldest ones beyond that overflow
+  async fitRawCapacity(symbol, records) {
+    const capacity = this.storage.maxPointsPerSymbol;
+    if (!capacity) return { kept: records, overflow: [] };
+
+    const times = [...(await this.storage.query(symbol)).map(point => point.timestamp), ...records.map(record => record.timestamp)]
+      .sort((a, b) => a - b);
+    if (times.length <= capacity) return { kept: records, overflow: [] };
+
+    const cutoff = times[times.length - capacity];
+    return {
+      kept: records.filter(record => record.timestamp >= cutoff),
+      overflow: records.filter(record => record.timestamp < cutoff)
+    };
+  }
+
+  async importPoints(symbol, records) {
+    const first = records[0].timestamp;
+    const last = records[records.length - 1].timestamp;
+    const existing = (await this.storage.query(symbol, { from: first - DUPLICATE_WINDOW, to: last + DUPLICATE_WINDOW }))
+      .map(point => point.timestamp);
+
+    // Both lists are time-ordered, so one pass finds each record's nearest stored neighbours
+    let index = 0;
+    const merged = records.filter(record => {
+      while (index < existing.length && existing[index] < record.timestamp - DUPLICATE_WINDOW) index++;
+      return !(index < existing.length && existing[index] <= record.timestamp + DUPLICATE_WINDOW);
+    });
+
+    for (const record of merged) {
+      await this.storage.append(symbol, {
+        price: record.price,
+        timestamp: record.timestamp,
+        source: record.source || 'import',
+        verified: false
+      });
+    }
+    return merged;
+  }
+
+  async importCandles(symbol, interval, records) {
+    const from = getBucketStart(records[0].timestamp, interval);
+    const to = records[records.length - 1].timestamp;
+    const rows = [
+      ...await this.storage.query(symbol, { from, to }),
+      ...await this.storage.queryCandles(symbol, interval, { from, to })
+    ];
+    const covered = new Set(rows.map(row => getBucketStart(row.timestamp, interval)));
+
+    const merged = records.filter(record => !covered.has(getBucketStart(record.timestamp, interval)));
+    if (merged.length > 0) {
+      const candles = aggregatePoints(merged, { interval }).map(candle => ({ ...candle, source: 'import' }));
+      await this.storage.upsertCandles(symbol, interval, candles);
+    }
+    return merged;
+  }
+}
+
+module.exports = { EXPORT_VERSIONS, DUPLICATE_WINDOW, parseTimestamp, parseHistoryFile, validateRecord, HistoryImport };
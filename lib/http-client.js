@@ -0,0 +1,228 @@
+const axios = require('axios');
+
+const MINUTE = 60 * 1000;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Requests allowed per host per interval, from each provider's free-tier terms.
+// Scraped sites get a polite limit so a full cycle does not look like a burst.
+const HOST_LIMITS = {
+  'www.alphavantage.co': { requests: 5, interval: MINUTE },
+  'api.coingecko.com': { requests: 10, interval: MINUTE },
+  'pro-api.coinmarketcap.com': { requests: 30, interval: MINUTE },
+  'financialmodelingprep.com': { requests: 60, interval: MINUTE },
+  'api.stlouisfed.org': { requests: 60, interval: MINUTE },
+  'www.ebay.com': { requests: 10, interval: MINUTE },
+  'www.chrono24.com': { requests: 6, interval: MINUTE },
+  'finance.yahoo.com': { requests: 20, interval: MINUTE },
+  'www.marketwatch.com': { requests: 20, interval: MINUTE },
+  'api.frankfurter.app': { requests: 30, interval: MINUTE },
+  'open.er-api.com': { requests: 10, interval: MINUTE },
+  'api.kraken.com': { requests: 30, interval: MINUTE }
+};
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+
+// A whole number of at least `min` from the environment; anything else (unset, "abc", "-1", "2.5")
+// gives `fallback`, since a NaN limit would never be reached
+function envInteger(name, fallback, min) {
+  const value = process.env[name];
+  if (value === undefined || !/^\s*\d+\s*$/.test(value)) return fallback;
+  const number = Number(value);
+  return number >= min ? number : fallback;
+}
+
+// Rough size of a response body in memory: string length, or that of its JSON for parsed bodies
+function estimateSize(data) {
+  if (typeof data === 'string') return data.length;
+  if (Buffer.isBuffer(data)) return data.length;
+  try {
+    return JSON.stringify(data).length;
+  } catch (error) {
+    return Infinity;
+  }
+}
+
+// The connection or the server failed, not the request itself: worth retrying, and what a
+// collector's circuit breaker counts as the source being down
+function isTransportError(error) {
+  if (error.response) {
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One client is shared by every collector so the limits hold across the whole process
+class HttpClient {
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency || envInteger('HTTP_MAX_CONCURRENCY', 4, 1);
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : envInteger('HTTP_MAX_RETRIES', 2, 0);
+    this.baseDelay = options.baseDelay || 1000;
+    this.maxDelay = options.maxDelay || 30000;
+    this.hostLimits = { ...HOST_LIMITS, ...options.hostLimits };
+    this.maxCacheEntries = options.maxCacheEntries || 500;
+    this.maxCacheBytes = options.maxCacheBytes || envInteger('HTTP_CACHE_MAX_BYTES', 8 * 1024 * 1024, 1);
+    this.transport = options.transport || axios;
+
+    this.active = 0;
+    this.waiting = [];
+    this.hosts = new Map();
+    // url -> { etag, lastModified, data, size } for conditional requests
+    this.cache = new Map();
+    this.cacheBytes = 0;
+    this.stats = { requests: 0, retries: 0, notModified: 0, failures: 0 };
+  }
+
+  async get(url, config = {}) {
+    const cacheKey = `${url}?${JSON.stringify(config.params || {})}`;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.request(url, config, cacheKey);
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) {
+          this.stats.failures++;
+          throw error;
+        }
+
+        this.stats.retries++;
+        await sleep(this.getRetryDelay(error, attempt));
+      }
+    }
+  }
+
+  async request(url, config, cacheKey) {
+    await this.acquireHost(new URL(url).host);
+    await this.acquireSlot();
+
+    try {
+      const cached = this.cache.get(cacheKey);
+      const headers = { 'User-Agent': USER_AGENT, ...config.headers };
+      if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+      if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+      this.stats.requests++;
+      const response = await this.transport.get(url, {
+        timeout: 15000,
+        ...config,
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      });
+
+      if (response.status === 304 && cached) {
+        this.stats.notModified++;
+        return { ...response, data: cached.data, fromCache: true };
+      }
+
+      this.remember(cacheKey, response);
+      return response;
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  remember(cacheKey, response) {
+    this.forget(cacheKey);
+
+    const etag = response.headers && response.headers.etag;
+    const lastModified = response.headers && response.headers['last-modified'];
+    if (!etag && !lastModified) return;
+
+    // Scraped pages can run to megabytes; a body too big for the budget is just not cached
+    const size = estimateSize(response.data);
+    if (size > this.maxCacheBytes / 4) return;
+
+    // Insertion order is use order, so the least recently stored entry is always first
+    this.cache.set(cacheKey, { etag, lastModified, data: response.data, size });
+    this.cacheBytes += size;
+    while (this.cache.size > this.maxCacheEntries || this.cacheBytes > this.maxCacheBytes) {
+      this.forget(this.cache.keys().next().value);
+    }
+  }
+
+  forget(cacheKey) {
+    const entry = this.cache.get(cacheKey);
+    if (!entry) return;
+
+    this.cache.delete(cacheKey);
+    this.cacheBytes -= entry.size;
+  }
+
+  isRetryable(error) {
+    return isTransportError(error);
+  }
+
+  // Exponential backoff with jitter, unless the server said how long to wait
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (delay > 0) return Math.min(delay, this.maxDelay);
+    }
+
+    const backoff = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+  // Sliding-window limit per host; callers for the same host queue up in order
+  acquireHost(host) {
+    const limit = this.hostLimits[host];
+    if (!limit) return Promise.resolve();
+
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { sent: [], queue: Promise.resolve() });
+    }
+    const state = this.hosts.get(host);
+
+    const turn = state.queue.then(async () => {
+      for (;;) {
+        const now = Date.now();
+        state.sent = state.sent.filter(timestamp => timestamp > now - limit.interval);
+        if (state.sent.length < limit.requests) {
+          state.sent.push(now);
+          return;
+        }
+        await sleep(state.sent[0] + limit.interval - now);
+      }
+    });
+
+    state.queue = turn;
+    return turn;
+  }
+
+  acquireSlot() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  getStatus() {
+    return {
+      ...this.stats,
+      active: this.active,
+      queued: this.waiting.length,
+      maxConcurrency: this.maxConcurrency,
+      cachedValidators: this.cache.size,
+      cachedBytes: this.cacheBytes
+    };
+  }
+}
+
+const httpClient = new HttpClient();
+
+module.exports = { HttpClient, httpClient, HOST_LIMITS, isTransportError };
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { validateSchedule } = require('./scheduler');
+const { UNITS } = require('./units');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'items.json');
+
+const REQUIRED_FIELDS = ['symbol', 'name', 'category'];
+
+// Returns a list of problems with an item definition (empty when valid)
+function validateItem(item) {
+  const errors = [];
+
+  if (!item || typeof item !== 'object') {
+    return ['Item must be an object'];
+  }
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (typeof item[field] !== 'string' || item[field].trim() === '') {
+      errors.push(`${field} is required`);
+    }
+  });
+
+  if (item.symbol && !/^[A-Z0-9][A-Z0-9._-]*$/.test(item.symbol)) {
+    errors.push('symbol may only contain A-Z, 0-9, ".", "_" and "-"');
+  }
+  if (item.collector !== undefined && item.collector !== null && typeof item.collector !== 'string') {
+    errors.push('collector must be a string or null');
+  }
+  if (item.sources !== undefined && (typeof item.sources !== 'object' || item.sources === null || Array.isArray(item.sources))) {
+    errors.push('sources must be an object');
+  }
+  if (item.schedule !== undefined) {
+    errors.push(...validateSchedule(item.schedule));
+  }
+  ['basePrice', 'volatility'].forEach(field => {
+    if (item[field] !== undefined && !(typeof item[field] === 'number' && item[field] >= 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+  // currency overrides the collector's quote currency; baseCurrency is the currency an FX item prices
+  ['currency', 'baseCurrency'].forEach(field => {
+    if (item[field] !== undefined && !(typeof item[field] === 'string' && /^[A-Z]{3,5}$/.test(item[field]))) {
+      errors.push(`${field} must be a currency code such as EUR`);
+    }
+  });
+  // priceUnit is what the price is per; `unit` stays a free-form label
+  if (item.priceUnit !== undefined && item.priceUnit !== null && !UNITS[item.priceUnit]) {
+    errors.push(`priceUnit must be one of: ${Object.keys(UNITS).join(', ')}`);
+  }
+
+  return errors;
+}
+
+class ItemRegistry {
+  constructor(logger, filePath = process.env.ITEMS_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+    this.logger = logger;
+    this.filePath = filePath;
+    this.items = new Map();
+  }
+
+  load() {
+    const { items = [] } = fs.readJsonSync(this.filePath);
+    this.items.clear();
+
+    items.forEach(item => {
+      const errors = validateItem(item);
+      if (errors.length > 0) {
+        throw new Error(`Invalid item ${item && item.symbol} in ${this.filePath}: ${errors.join(', ')}`);
+      }
+      if (this.items.has(item.symbol)) {
+        throw new Error(`Duplicate item ${item.symbol} in ${this.filePath}`);
+      }
+      this.items.set(item.symbol, this.normalize(item));
+    });
+
+    this.logger.info(`Loaded ${this.items.size} items from ${this.filePath}`);
+  }
+
+  // Fill in optional fields without reordering the item's own keys, so saving keeps the file diffable
+  normalize(item) {
+    const defaults = { unit: '', icon: '', collector: null, sources: {} };
+    const normalized = { ...item };
+
+    Object.entries(defaults).forEach(([field, value]) => {
+      if (normalized[field] === undefined) normalized[field] = value;
+    });
+
+    return normalized;
+  }
+
+  // Add or replace an item; callers validate first
+  setItem(item) {
+    const normalized = this.normalize(item);
+    this.items.set(item.symbol, normalized);
+    return normalized;
+  }
+
+  removeItem(symbol) {
+    return this.items.delete(symbol);
+  }
+
+  async save() {
+    await fs.writeJson(this.filePath, { items: this.getItems() }, { spaces: 2 });
+  }
+
+  getItems() {
+    return Array.from(this.items.values());
+  }
+
+  getItem(symbol) {
+    return this.items.get(symbol) || null;
+  }
+
+  getItemsForCollector(collector) {
+    return this.getItems().filter(item => item.collector === collector);
+  }
+
+  // Category names in the order they first appear in the registry
+  getCategories() {
+    return Array.from(new Set(this.getItems().map(item => item.category)));
+  }
+}
+
+module.exports = { ItemRegistry, validateItem };
@@ -0,0 +1,313 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Quantities below this are rounding left-overs of partial sales
+const EPSILON = 1e-9;
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'transfer', 'fee'];
+const LOT_METHODS = ['fifo', 'lifo', 'specific'];
+
+function isDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function isNumber(value, min, exclusive = false) {
+  return typeof value === 'number' && Number.isFinite(value) && (exclusive ? value > min : value >= min);
+}
+
+// Problems with a transaction (empty when valid). Every type has a `date`; buy, sell and transfer
+// move a `quantity` of a `symbol` at a per-unit `price` (transfers carry their own `costBasis`);
+// fee is a standalone `amount`.
+function validateTransaction(transaction) {
+  if (typeof transaction !== 'object' || transaction === null || Array.isArray(transaction)) {
+    return ['transaction must be an object'];
+  }
+
+  const errors = [];
+  const { type } = transaction;
+  if (!TRANSACTION_TYPES.includes(type)) {
+    return [`type must be one of: ${TRANSACTION_TYPES.join(', ')}`];
+  }
+
+  if (!isDate(transaction.date)) {
+    errors.push('date must be a date (YYYY-MM-DD or ISO 8601)');
+  } else if (Date.parse(transaction.date) > Date.now()) {
+    errors.push('date cannot be in the future');
+  }
+
+  if (type === 'fee') {
+    if (!isNumber(transaction.amount, 0, true)) errors.push('amount must be a positive number');
+  } else {
+    if (typeof transaction.symbol !== 'string' || transaction.symbol.trim() === '') errors.push('symbol is required');
+    if (!isNumber(transaction.quantity, 0, true)) errors.push('quantity must be a positive number');
+  }
+
+  if ((type === 'buy' || type === 'sell') && !isNumber(transaction.price, 0)) {
+    errors.push('price must be a non-negative number');
+  }
+  if (transaction.fee !== undefined && !isNumber(transaction.fee, 0)) {
+    errors.push('fee must be a non-negative number');
+  }
+
+  const incoming = type === 'buy' || (type === 'transfer' && transaction.direction === 'in');
+  if (type === 'transfer') {
+    if (!['in', 'out'].includes(transaction.direction)) {
+      errors.push('direction must be in or out for transfers');
+    } else if (incoming && !isNumber(transaction.costBasis, 0)) {
+      errors.push('costBasis must be a non-negative number for incoming transfers');
+    }
+    if (transaction.acquiredAt !== undefined && !(isDate(transaction.acquiredAt) && Date.parse(transaction.acquiredAt) <= Date.parse(transaction.date))) {
+      errors.push('acquiredAt must be a date on or before the transfer');
+    }
+  }
+
+  if (transaction.lotId !== undefined && !(incoming && typeof transaction.lotId === 'string' && transaction.lotId.trim() !== '')) {
+    errors.push('lotId must be a non-empty string, and only names the lot a buy or incoming transfer opens');
+  }
+
+  const outgoing = type === 'sell' || (type === 'transfer' && transaction.direction === 'out');
+  if (transaction.method !== undefined && !(outgoing && LOT_METHODS.includes(transaction.method))) {
+    errors.push(`method must be one of: ${LOT_METHODS.join(', ')}, for sells and outgoing transfers`);
+  }
+  if (transaction.method === 'specific' && transaction.lots === undefined) {
+    errors.push('lots are required for specific-lot matching');
+  }
+  if (transaction.lots !== undefined) {
+    if (!outgoing || (transaction.method !== undefined && transaction.method !== 'specific')) {
+      errors.push('lots only apply to specific-lot sells and outgoing transfers');
+    } else if (!Array.isArray(transaction.lots) || transaction.lots.length === 0 ||
+      !transaction.lots.every(lot => lot && typeof lot.lotId === 'string' && isNumber(lot.quantity, 0, true))) {
+      errors.push('lots must be a non-empty array of { lotId, quantity }');
+    } else if (isNumber(transaction.quantity, 0) &&
+      Math.abs(transaction.lots.reduce((sum, lot) => sum + lot.quantity, 0) - transaction.quantity) > EPSILON) {
+      errors.push('lots quantities must add up to quantity');
+    }
+  }
+
+  if (transaction.note !== undefined && typeof transaction.note !== 'string') {
+    errors.push('note must be a string');
+  }
+
+  return errors;
+}
+
+// Held for more than one year, counted in calendar years
+function isLongTerm(acquiredAt, disposedAt) {
+  const anniversary = new Date(acquiredAt);
+  anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+  return disposedAt > anniversary.getTime();
+}
+
+// Replays a portfolio's transactions in date order (same-day ones in the order they were recorded).
+// Buys and incoming transfers open a lot; sells and outgoing transfers close lots by `method`
+// (fifo or lifo, the portfolio default) or by the lots a transaction names. Each lot a sale touches
+// becomes a realized entry, classified short- or long-term by its own acquisition date.
+//
+// Returns { lots (still open), realized, positions, fees, errors }. `positions` are the quantities
+// held over time (from the day they entered the portfolio to the day they left, or null), for the
+// value history. A transaction that cannot be applied (e.g. selling more than is held) is skipped
+// and reported in `errors`.
+function buildLedger(transactions, { method = 'fifo', isCollectible = () => false } = {}) {
+  const open = [];
+  const lotIds = new Set();
+  const realized = [];
+  const positions = [];
+  const errors = [];
+  let fees = 0;
+
+  const openLot = (transaction, costBasis, acquiredAt) => {
+    const id = transaction.lotId || transaction.id;
+    if (lotIds.has(id)) return `lot ${id} already exists`;
+
+    lotIds.add(id);
+    open.push({
+      id,
+      symbol: transaction.symbol,
+      quantity: transaction.quantity,
+      costBasis,
+      acquiredAt,
+      openedAt: transaction.date
+    });
+    return null;
+  };
+
+  // Picks the lots an outgoing transaction draws from; nothing is changed unless all of it is covered
+  const pickLots = transaction => {
+    const held = open.filter(lot => lot.symbol === transaction.symbol);
+    const available = held.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (transaction.quantity > available + EPSILON) {
+      return { error: `only ${available} held` };
+    }
+
+    if (transaction.lots) {
+      const requested = new Map();
+      transaction.lots.forEach(({ lotId, quantity }) => requested.set(lotId, (requested.get(lotId) || 0) + quantity));
+
+      const picks = [];
+      for (const [lotId, quantity] of requested) {
+        const lot = held.find(entry => entry.id === lotId);
+        if (!lot) return { error: `lot ${lotId} is not held` };
+        if (quantity > lot.quantity + EPSILON) return { error: `lot ${lotId} holds only ${lot.quantity}` };
+        picks.push({ lot, quantity: Math.min(quantity, lot.quantity) });
+      }
+      return { picks };
+    }
+
+    const order = (transaction.method || method) === 'lifo' ? -1 : 1;
+    const ordered = held.slice().sort((a, b) => order * (Date.parse(a.acquiredAt) - Date.parse(b.acquiredAt)));
+
+    const picks = [];
+    let remaining = transaction.quantity;
+    for (const lot of ordered) {
+      if (remaining <= EPSILON) break;
+      const quantity = Math.min(remaining, lot.quantity);
+      picks.push({ lot, quantity });
+      remaining -= quantity;
+    }
+    return { picks };
+  };
+
+  const closeLots = (transaction, picks) => picks.map(({ lot, quantity }) => {
+    const costBasis = lot.costBasis * quantity / lot.quantity;
+    lot.quantity -= quantity;
+    lot.costBasis -= costBasis;
+    if (lot.quantity <= EPSILON) open.splice(open.indexOf(lot), 1);
+
+    positions.push({ symbol: lot.symbol, quantity, costBasis, acquiredAt: lot.openedAt, disposedAt: transaction.date });
+    return { lot, quantity, costBasis };
+  });
+
+  const apply = transaction => {
+    switch (transaction.type) {
+      case 'buy':
+        return openLot(transaction, transaction.quantity * transaction.price + (transaction.fee || 0), transaction.date);
+
+      case 'transfer':
+        if (transaction.direction === 'in') {
+          return openLot(transaction, transaction.costBasis, transaction.acquiredAt || transaction.date);
+        } else {
+          const { picks, error } = pickLots(transaction);
+          if (error) return error;
+          closeLots(transaction, picks);
+          return null;
+        }
+
+      case 'sell': {
+        const { picks, error } = pickLots(transaction);
+        if (error) return error;
+
+        const soldAt = Date.parse(transaction.date);
+        const netProceeds = transaction.quantity * transaction.price - (transaction.fee || 0);
+        closeLots(transaction, picks).forEach(({ lot, quantity, costBasis }) => {
+          const proceeds = netProceeds * quantity / transaction.quantity;
+          const acquiredAt = Date.parse(lot.acquiredAt);
+          realized.push({
+            transactionId: transaction.id,
+            lotId: lot.id,
+            symbol: lot.symbol,
+            quantity,
+            acquiredAt: lot.acquiredAt,
+            soldAt: transaction.date,
+            proceeds,
+            costBasis,
+            gain: proceeds - costBasis,
+            holdingDays: Math.floor((soldAt - acquiredAt) / DAY),
+            term: isLongTerm(acquiredAt, soldAt) ? 'long' : 'short',
+            collectible: isCollectible(lot.symbol)
+          });
+        });
+        return null;
+      }
+
+      case 'fee':
+        fees += transaction.amount;
+        return null;
+
+      default:
+        return `unknown transaction type ${transaction.type}`;
+    }
+  };
+
+  transactions
+    .slice()
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date))
+    .forEach(transaction => {
+      const error = apply(transaction);
+      if (error) {
+        errors.push(`${transaction.date} ${transaction.type}${transaction.symbol ? ` ${transaction.symbol}` : ''}: ${error}`);
+      }
+    });
+
+  open.forEach(lot => {
+    positions.push({ symbol: lot.symbol, quantity: lot.quantity, costBasis: lot.costBasis, acquiredAt: lot.openedAt, disposedAt: null });
+  });
+
+  return { lots: open, realized, positions, fees, errors };
+}
+
+// Realized gains split by holding period. Long-term gains on collectibles (watches, cards, ...) are
+// kept apart from other long-term gains since they are often taxed at their own rate.
+function summarizeRealized(realized) {
+  const total = () => ({ proceeds: 0, costBasis: 0, gain: 0 });
+  const summary = { shortTerm: total(), longTerm: total(), collectibles: total() };
+
+  realized.forEach(entry => {
+    const bucket = entry.term === 'short' ? summary.shortTerm : (entry.collectible ? summary.collectibles : summary.longTerm);
+    bucket.proceeds += entry.proceeds;
+    bucket.costBasis += entry.costBasis;
+    bucket.gain += entry.gain;
+  });
+
+  return summary;
+}
+
+// Columns read from a trades CSV (header names are case-insensitive; unknown columns are ignored)
+const CSV_COLUMNS = ['date', 'type', 'symbol', 'quantity', 'price', 'fee', 'amount', 'direction', 'cost_basis', 'acquired_at', 'method', 'lot', 'note'];
+
+// A transaction from one CSV record (see parseCsvRecords). Amounts may be spreadsheet-formatted
+// ("$1,234.50"). `lot` names the lot a buy opens, or the lots a sale draws from: "ROLEX-2019",
+// or "A:1;B:0.5" for quantities from several lots.
+function transactionFromCsv(record) {
+  const number = value => value ? Number(value.replace(/[$,\s]/g, '')) : undefined;
+  const text = value => value || undefined;
+  const lower = value => value ? value.toLowerCase() : undefined;
+
+  const transaction = {
+    date: text(record.date),
+    type: lower(record.type),
+    symbol: record.symbol ? record.symbol.toUpperCase() : undefined,
+    quantity: number(record.quantity),
+    price: number(record.price),
+    fee: number(record.fee),
+    amount: number(record.amount),
+    direction: lower(record.direction),
+    costBasis: number(record.cost_basis),
+    acquiredAt: text(record.acquired_at),
+    method: lower(record.method),
+    note: text(record.note)
+  };
+
+  if (record.lot) {
+    const outgoing = transaction.type === 'sell' || (transaction.type === 'transfer' && transaction.direction === 'out');
+    if (outgoing) {
+      const parts = record.lot.split(';').map(part => part.trim()).filter(Boolean);
+      transaction.lots = parts.map(part => {
+        const [lotId, quantity] = part.split(':').map(value => value.trim());
+        return { lotId, quantity: quantity !== undefined ? number(quantity) : transaction.quantity };
+      });
+    } else {
+      transaction.lotId = record.lot;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(transaction).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  LOT_METHODS,
+  CSV_COLUMNS,
+  validateTransaction,
+  buildLedger,
+  summarizeRealized,
+  transactionFromCsv
+};
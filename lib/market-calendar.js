@@ -0,0 +1,209 @@
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+// Wall-clock fields of `date` in `timeZone`, independent of the server's own zone
+function getZonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS[parts.weekday],
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Dates below are plain { year, month, day } in the exchange's own zone; keys look like "2025-07-04"
+function dateKey(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function shiftDate(year, month, day, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = weekdayOf(year, month, 1);
+    return { year, month, day: 1 + ((weekday - first + 7) % 7) + (n - 1) * 7 };
+  }
+
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekdayOf(year, month, lastDay);
+  return { year, month, day: lastDay - ((last - weekday + 7) % 7) };
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { year, month, day };
+}
+
+// Fixed-date holidays move to Friday when on a Saturday and to Monday when on a Sunday
+function observed(year, month, day) {
+  const weekday = weekdayOf(year, month, day);
+  if (weekday === 6) return shiftDate(year, month, day, -1);
+  if (weekday === 0) return shiftDate(year, month, day, 1);
+  return { year, month, day };
+}
+
+const nyseCache = new Map();
+
+// Full closures and 1pm early closes for one year, per NYSE Rule 7.2
+function getNyseCalendar(year) {
+  if (nyseCache.has(year)) return nyseCache.get(year);
+
+  const easter = easterSunday(year);
+  const holidays = [
+    nthWeekday(year, 1, 1, 3),  // Martin Luther King Jr. Day
+    nthWeekday(year, 2, 1, 3),  // Washington's Birthday
+    shiftDate(easter.year, easter.month, easter.day, -2), // Good Friday
+    nthWeekday(year, 5, 1, -1), // Memorial Day
+    observed(year, 7, 4),       // Independence Day
+    nthWeekday(year, 9, 1, 1),  // Labor Day
+    nthWeekday(year, 11, 4, 4), // Thanksgiving
+    observed(year, 12, 25)      // Christmas
+  ];
+
+  // New Year's Day falling on a Saturday is not observed on the Friday before
+  if (weekdayOf(year, 1, 1) !== 6) holidays.push(observed(year, 1, 1));
+  if (year >= 2022) holidays.push(observed(year, 6, 19)); // Juneteenth
+
+  const thanksgiving = nthWeekday(year, 11, 4, 4);
+  const earlyCloses = [
+    shiftDate(thanksgiving.year, thanksgiving.month, thanksgiving.day, 1),
+    { year, month: 12, day: 24 },
+    { year, month: 7, day: 3 }
+  ].filter(({ year: y, month, day }) => {
+    const weekday = weekdayOf(y, month, day);
+    return weekday >= 1 && weekday <= 5;
+  });
+
+  const calendar = {
+    holidays: new Set(holidays.map(({ year: y, month, day }) => dateKey(y, month, day))),
+    earlyCloses: new Set(earlyCloses.map(({ year: y, month, day }) => dateKey(y, month, day)))
+  };
+  calendar.earlyCloses.forEach(key => {
+    if (calendar.holidays.has(key)) calendar.earlyCloses.delete(key);
+  });
+
+  nyseCache.set(year, calendar);
+  return calendar;
+}
+
+function isNyseHoliday(year, month, day) {
+  return getNyseCalendar(year).holidays.has(dateKey(year, month, day));
+}
+
+function isBusinessDay(year, month, day) {
+  const weekday = weekdayOf(year, month, day);
+  return weekday >= 1 && weekday <= 5;
+}
+
+// Each calendar answers "is now a good time to collect?" in its own timezone.
+// `timezone` is ignored where the market fixes it (NYSE trades on New York time).
+const CALENDARS = {
+  // Crypto, marketplaces: never closes
+  always: {
+    description: '24/7',
+    isOpen: () => true
+  },
+
+  // US equities: 9:30-16:00 New York time on trading days, 13:00 close on early-close days
+  nyse: {
+    description: 'NYSE regular session, 9:30-16:00 America/New_York, exchange holidays excluded',
+    timezone: 'America/New_York',
+    isOpen(date) {
+      const { year, month, day, hour, minute } = getZonedParts(date, 'America/New_York');
+      if (!isBusinessDay(year, month, day) || isNyseHoliday(year, month, day)) return false;
+
+      const minutes = hour * 60 + minute;
+      const close = getNyseCalendar(year).earlyCloses.has(dateKey(year, month, day)) ? 13 * 60 : 16 * 60;
+      return minutes >= 9 * 60 + 30 && minutes < close;
+    }
+  },
+
+  // Metals trade around the clock on weekdays
+  'business-days': {
+    description: 'Monday-Friday, all day',
+    isOpen(date, timezone) {
+      const { year, month, day } = getZonedParts(date, timezone);
+      return isBusinessDay(year, month, day);
+    }
+  },
+
+  // Housing statistics are published monthly: collect on the first business day of each month
+  monthly: {
+    description: 'First business day of each month (NYSE holidays excluded)',
+    isOpen(date, timezone) {
+      const { year, month, day } = getZonedParts(date, timezone);
+      let first = 1;
+      while (!isBusinessDay(year, month, first) || isNyseHoliday(year, month, first)) first++;
+      return day === first;
+    }
+  }
+};
+
+function isCalendarOpen(name, date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const calendar = CALENDARS[name];
+  if (!calendar) throw new Error(`Unknown calendar: ${name}`);
+  return calendar.isOpen(date, calendar.timezone || timezone);
+}
+
+module.exports = {
+  CALENDARS,
+  DEFAULT_TIMEZONE,
+  getZonedParts,
+  isCalendarOpen,
+  isNyseHoliday,
+  isValidTimezone
+};
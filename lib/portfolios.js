@@ -0,0 +1,269 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { INTERVALS, getBucketStart } = require('./aggregation');
+
+// Problems with a holding (empty when valid). costBasis is the total paid for the quantity.
+function validateHolding(holding) {
+  if (typeof holding !== 'object' || holding === null || Array.isArray(holding)) {
+    return ['holding must be an object'];
+  }
+
+  const errors = [];
+  if (typeof holding.symbol !== 'string' || holding.symbol.trim() === '') {
+    errors.push('symbol is required');
+  }
+  if (!(typeof holding.quantity === 'number' && holding.quantity > 0)) {
+    errors.push('quantity must be a positive number');
+  }
+  if (!(typeof holding.costBasis === 'number' && holding.costBasis >= 0)) {
+    errors.push('costBasis must be a non-negative number');
+  }
+  if (typeof holding.acquiredAt !== 'string' || Number.isNaN(Date.parse(holding.acquiredAt))) {
+    errors.push('acquiredAt must be a date (YYYY-MM-DD or ISO 8601)');
+  } else if (Date.parse(holding.acquiredAt) > Date.now()) {
+    errors.push('acquiredAt cannot be in the future');
+  }
+
+  return errors;
+}
+
+function validatePortfolio(portfolio) {
+  if (typeof portfolio !== 'object' || portfolio === null || Array.isArray(portfolio)) {
+    return ['portfolio must be an object'];
+  }
+
+  const errors = [];
+  if (typeof portfolio.name !== 'string' || portfolio.name.trim() === '') {
+    errors.push('name is required');
+  }
+  if (portfolio.holdings !== undefined) {
+    if (!Array.isArray(portfolio.holdings)) {
+      errors.push('holdings must be an array');
+    } else {
+      portfolio.holdings.forEach((holding, index) => {
+        validateHolding(holding).forEach(error => errors.push(`holdings[${index}]: ${error}`));
+      });
+    }
+  }
+  if (portfolio.lotMethod !== undefined && !['fifo', 'lifo'].includes(portfolio.lotMethod)) {
+    errors.push('lotMethod must be fifo or lifo');
+  }
+
+  return errors;
+}
+
+function percentOf(value, base) {
+  return base > 0 ? value / base * 100 : null;
+}
+
+// Market value and unrealized P&L of each holding at the current prices, with allocation by category.
+// getPrice(symbol) returns the current price or null; holdings without one are listed in `unpriced`
+// and left out of the totals, so market value and cost basis always cover the same holdings.
+function valuePortfolio(portfolio, getPrice, getCategory) {
+  const holdings = portfolio.holdings.map(holding => {
+    const price = getPrice(holding.symbol);
+    const marketValue = price !== null ? price * holding.quantity : null;
+    const unrealizedPnl = marketValue !== null ? marketValue - holding.costBasis : null;
+
+    return {
+      ...holding,
+      category: getCategory(holding.symbol),
+      price,
+      marketValue,
+      unrealizedPnl,
+      unrealizedPnlPercent: unrealizedPnl !== null ? percentOf(unrealizedPnl, holding.costBasis) : null
+    };
+  });
+
+  const priced = holdings.filter(holding => holding.marketValue !== null);
+  const marketValue = priced.reduce((sum, holding) => sum + holding.marketValue, 0);
+  const costBasis = priced.reduce((sum, holding) => sum + holding.costBasis, 0);
+
+  const byCategory = new Map();
+  priced.forEach(holding => {
+    byCategory.set(holding.category, (byCategory.get(holding.category) || 0) + holding.marketValue);
+  });
+
+  return {
+    marketValue,
+    costBasis,
+    unrealizedPnl: marketValue - costBasis,
+    unrealizedPnlPercent: percentOf(marketValue - costBasis, costBasis),
+    holdings: holdings.map(holding => ({
+      ...holding,
+      weight: holding.marketValue !== null ? percentOf(holding.marketValue, marketValue) : null
+    })),
+    allocation: Array.from(byCategory, ([category, value]) => ({
+      category,
+      marketValue: value,
+      weight: percentOf(value, marketValue)
+    })).sort((a, b) => b.marketValue - a.marketValue),
+    unpriced: [...new Set(holdings.filter(holding => holding.marketValue === null).map(holding => holding.symbol))]
+  };
+}
+
+// Portfolio value at the close of each `interval` bucket, from each symbol's price history
+// (time-ordered points, keyed by symbol). A holding counts from the bucket it was acquired in until
+// the bucket it was disposed of in (`disposedAt`, if any), at its symbol's last known price; before
+// the symbol's first point it is left out.
+function buildValueSeries(holdings, histories, interval) {
+  if (!INTERVALS[interval]) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
+
+  // symbol -> Map(bucket -> closing price)
+  const closes = new Map();
+  const buckets = new Set();
+  Object.entries(histories).forEach(([symbol, points]) => {
+    const bySymbol = new Map();
+    points.forEach(point => {
+      const bucket = getBucketStart(point.timestamp, interval);
+      bySymbol.set(bucket, point.close !== undefined ? point.close : point.price);
+      buckets.add(bucket);
+    });
+    closes.set(symbol, bySymbol);
+  });
+
+  const lastPrice = new Map();
+  return Array.from(buckets).sort((a, b) => a - b).map(bucket => {
+    closes.forEach((bySymbol, symbol) => {
+      if (bySymbol.has(bucket)) lastPrice.set(symbol, bySymbol.get(bucket));
+    });
+
+    const end = bucket + INTERVALS[interval];
+    let value = 0;
+    let costBasis = 0;
+    holdings.forEach(holding => {
+      if (Date.parse(holding.acquiredAt) >= end || !lastPrice.has(holding.symbol)) return;
+      if (holding.disposedAt && Date.parse(holding.disposedAt) < end) return;
+      value += lastPrice.get(holding.symbol) * holding.quantity;
+      costBasis += holding.costBasis;
+    });
+
+    return { timestamp: bucket, value, costBasis, unrealizedPnl: value - costBasis };
+  });
+}
+
+// Portfolios with their holdings and transactions (see lib/ledger.js), persisted to PORTFOLIOS_PATH
+class PortfolioManager {
+  constructor(logger, filePath = process.env.PORTFOLIOS_PATH || './data/portfolios.json') {
+    this.logger = logger;
+    this.filePath = filePath;
+    this.portfolios = new Map();
+  }
+
+  async load() {
+    try {
+      if (!(await fs.pathExists(this.filePath))) return;
+
+      const { portfolios = [] } = await fs.readJson(this.filePath);
+      portfolios.forEach(portfolio => this.portfolios.set(portfolio.id, { transactions: [], ...portfolio }));
+      this.logger.info(`Loaded ${this.portfolios.size} portfolios`);
+    } catch (error) {
+      this.logger.warn('Failed to load portfolios:', error.message);
+    }
+  }
+
+  async save() {
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, { portfolios: this.getPortfolios() }, { spaces: 2 });
+  }
+
+  getPortfolios() {
+    return Array.from(this.portfolios.values());
+  }
+
+  getPortfolio(id) {
+    return this.portfolios.get(id) || null;
+  }
+
+  // Stores a validated portfolio; `existing` keeps the id, creation time and transactions on update,
+  // and the ids of holdings it already has
+  setPortfolio(portfolio, existing = null) {
+    const keepId = holding => existing && holding.id && this.getHolding(existing, holding.id) ? holding.id : null;
+    const stored = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      name: portfolio.name.trim(),
+      holdings: (portfolio.holdings || []).map(holding => this.toHolding({ ...holding, id: keepId(holding) })),
+      lotMethod: portfolio.lotMethod || 'fifo',
+      transactions: existing ? existing.transactions : [],
+      createdAt: existing ? existing.createdAt : Date.now()
+    };
+
+    this.portfolios.set(stored.id, stored);
+    return stored;
+  }
+
+  removePortfolio(id) {
+    return this.portfolios.delete(id);
+  }
+
+  toHolding(holding) {
+    return {
+      id: holding.id || crypto.randomUUID(),
+      symbol: holding.symbol,
+      quantity: holding.quantity,
+      costBasis: holding.costBasis,
+      acquiredAt: holding.acquiredAt
+    };
+  }
+
+  getHolding(portfolio, holdingId) {
+    return portfolio.holdings.find(holding => holding.id === holdingId) || null;
+  }
+
+  addHolding(portfolio, holding) {
+    const stored = this.toHolding({ ...holding, id: null });
+    portfolio.holdings.push(stored);
+    return stored;
+  }
+
+  updateHolding(portfolio, existing, holding) {
+    const stored = this.toHolding({ ...holding, id: existing.id });
+    portfolio.holdings[portfolio.holdings.indexOf(existing)] = stored;
+    return stored;
+  }
+
+  removeHolding(portfolio, holdingId) {
+    const index = portfolio.holdings.findIndex(holding => holding.id === holdingId);
+    if (index === -1) return false;
+
+    portfolio.holdings.splice(index, 1);
+    return true;
+  }
+
+  // A validated transaction as stored; it is only added to the portfolio by addTransactions()
+  toTransaction(transaction) {
+    const fields = ['type', 'date', 'symbol', 'quantity', 'price', 'fee', 'amount', 'direction', 'costBasis', 'acquiredAt', 'method', 'lots', 'lotId', 'note'];
+    const stored = { id: crypto.randomUUID() };
+    fields.forEach(field => {
+      if (transaction[field] !== undefined) stored[field] = transaction[field];
+    });
+    stored.createdAt = Date.now();
+    return stored;
+  }
+
+  addTransactions(portfolio, transactions) {
+    portfolio.transactions.push(...transactions);
+  }
+
+  removeTransaction(portfolio, transactionId) {
+    const index = portfolio.transactions.findIndex(transaction => transaction.id === transactionId);
+    if (index === -1) return false;
+
+    portfolio.transactions.splice(index, 1);
+    return true;
+  }
+
+  getStatus() {
+    const portfolios = this.getPortfolios();
+    return {
+      portfolios: this.portfolios.size,
+      holdings: portfolios.reduce((sum, portfolio) => sum + portfolio.holdings.length, 0),
+      transactions: portfolios.reduce((sum, portfolio) => sum + portfolio.transactions.length, 0)
+    };
+  }
+}
+
+module.exports = { PortfolioManager, validatePortfolio, validateHolding, valuePortfolio, buildValueSeries };
@@ -0,0 +1,154 @@
+const { WebSocketServer, WebSocket } = require('ws');
+
+// SSE comments keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = 25000;
+
+// Comma-separated symbols from a query string; an empty set means every symbol
+function parseSymbols(value) {
+  if (!value) return new Set();
+  return new Set(String(value).split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean));
+}
+
+// Pushes each new price to subscribed clients, over Server-Sent Events (GET /api/stream) and
+// WebSocket (/api/ws). Every client gets a snapshot of the current prices when it connects.
+class PriceStream {
+  constructor(logger, getSnapshot) {
+    this.logger = logger;
+    this.getSnapshot = getSnapshot;
+    this.clients = new Set();
+    this.wss = null;
+    this.heartbeat = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  // Express handler for GET /api/stream?symbols=BTC,ETH
+  handleSse(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const client = {
+      type: 'sse',
+      symbols: parseSymbols(req.query.symbols),
+      send: (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      ping: () => res.write(': ping\n\n')
+    };
+
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+    res.write('retry: 5000\n\n');
+    this.sendSnapshot(client);
+  }
+
+  // Accepts WebSocket upgrades on `path` of an http.Server
+  attach(server, path = '/api/ws') {
+    this.wss = new WebSocketServer({ server, path });
+    this.wss.on('connection', (socket, req) => {
+      const url = new URL(req.url, 'http://localhost');
+      const client = {
+        type: 'ws',
+        symbols: parseSymbols(url.searchParams.get('symbols')),
+        send: (event, data) => {
+          if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: event, ...data }));
+        },
+        ping: () => socket.ping()
+      };
+
+      this.clients.add(client);
+      socket.on('message', message => this.handleMessage(client, message));
+      socket.on('close', () => this.clients.delete(client));
+      socket.on('error', error => this.logger.warn('WebSocket client error:', error.message));
+      this.sendSnapshot(client);
+    });
+  }
+
+  // { type: 'subscribe' | 'unsubscribe', symbols: [...] }; subscribing to [] means every symbol
+  handleMessage(client, message) {
+    let request;
+    try {
+      request = JSON.parse(message);
+    } catch (error) {
+      client.send('error', { error: 'Messages must be JSON' });
+      return;
+    }
+
+    const symbols = Array.isArray(request.symbols) ? request.symbols.map(symbol => String(symbol).toUpperCase()) : null;
+    if (!symbols) {
+      client.send('error', { error: 'symbols must be an array' });
+      return;
+    }
+
+    if (request.type === 'subscribe') {
+      client.symbols = symbols.length === 0 ? new Set() : new Set([...client.symbols, ...symbols]);
+      this.sendSnapshot(client);
+    } else if (request.type === 'unsubscribe') {
+      symbols.forEach(symbol => client.symbols.delete(symbol));
+    } else {
+      client.send('error', { error: 'type must be subscribe or unsubscribe' });
+      return;
+    }
+
+    client.send('subscribed', { symbols: Array.from(client.symbols) });
+  }
+
+  wants(client, symbol) {
+    return client.symbols.size === 0 || client.symbols.has(symbol);
+  }
+
+  sendSnapshot(client) {
+    const prices = {};
+    Object.entries(this.getSnapshot()).forEach(([symbol, price]) => {
+      if (this.wants(client, symbol)) prices[symbol] = price;
+    });
+    client.send('snapshot', { prices });
+  }
+
+  // update: { symbol, price, timestamp, source, verified, ... }
+  publish(update) {
+    this.broadcast('price', update);
+  }
+
+  // Fired alerts (lib/alerts.js), sent as `alert` events to clients watching the symbol
+  publishAlert(alert) {
+    this.broadcast('alert', alert);
+  }
+
+  broadcast(event, data) {
+    this.clients.forEach(client => {
+      if (!this.wants(client, data.symbol)) return;
+      try {
+        client.send(event, data);
+      } catch (error) {
+        this.logger.warn(`Failed to push ${data.symbol} to a ${client.type} client:`, error.message);
+      }
+    });
+  }
+
+  sendHeartbeat() {
+    this.clients.forEach(client => {
+      try {
+        client.ping();
+      } catch (error) {
+        this.clients.delete(client);
+      }
+    });
+  }
+
+  getStatus() {
+    const clients = Array.from(this.clients);
+    return {
+      sse: clients.filter(client => client.type === 'sse').length,
+      websocket: clients.filter(client => client.type === 'ws').length
+    };
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    if (this.wss) this.wss.close();
+  }
+}
+
+module.exports = { PriceStream };
@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const path = require('path');
+const webpush = require('web-push');
+
+// Web Push (VAPID) to every browser that subscribed from the dashboard. Keys come from
+// VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY; without them a key pair is generated once and kept with
+// the subscriptions, since subscriptions are bound to the key they were made with.
+class PushNotifier {
+  constructor(logger, filePath = process.env.PUSH_SUBSCRIPTIONS_PATH || './data/push-subscriptions.json') {
+    this.logger = logger;
+    this.filePath = filePath;
+    this.subject = process.env.VAPID_SUBJECT || 'mailto:admin@localhost';
+    this.maxSubscriptions = parseInt(process.env.PUSH_MAX_SUBSCRIPTIONS, 10) || 100;
+    this.keys = null;
+    this.subscriptions = new Map();
+  }
+
+  async load() {
+    let stored = {};
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        stored = await fs.readJson(this.filePath);
+      }
+    } catch (error) {
+      this.logger.warn('Failed to load push subscriptions:', error.message);
+    }
+
+    (stored.subscriptions || []).forEach(subscription => this.subscriptions.set(subscription.endpoint, subscription));
+
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+      this.keys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    } else if (stored.keys) {
+      this.keys = stored.keys;
+    } else {
+      this.keys = webpush.generateVAPIDKeys();
+      this.logger.info('Generated a VAPID key pair for Web Push');
+      await this.save();
+    }
+
+    webpush.setVapidDetails(this.subject, this.keys.publicKey, this.keys.privateKey);
+    this.logger.info(`Loaded ${this.subscriptions.size} push subscriptions`);
+  }
+
+  async save() {
+    // Keys from the environment are not written to disk
+    const keys = process.env.VAPID_PUBLIC_KEY ? undefined : this.keys;
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, { keys, subscriptions: Array.from(this.subscriptions.values()) }, { spaces: 2 });
+  }
+
+  getPublicKey() {
+    return this.keys ? this.keys.publicKey : null;
+  }
+
+  // A browser PushSubscription as JSON: { endpoint, keys: { p256dh, auth } }. p256dh is the
+  // browser's P-256 public key (65 bytes, uncompressed) and auth a 16-byte secret, both base64url.
+  validate(subscription) {
+    const errors = [];
+    if (!subscription || typeof subscription.endpoint !== 'string' || !/^https:\/\//.test(subscription.endpoint) || subscription.endpoint.length > 2048) {
+      errors.push('endpoint must be an https URL');
+    }
+
+    const keys = (subscription && subscription.keys) || {};
+    const decoded = value => typeof value === 'string' && /^[A-Za-z0-9_-]+=*$/.test(value) ? Buffer.from(value, 'base64url') : null;
+    const p256dh = decoded(keys.p256dh);
+    const auth = decoded(keys.auth);
+    if (!p256dh || p256dh.length !== 65 || p256dh[0] !== 0x04) {
+      errors.push('keys.p256dh must be a base64url P-256 public key');
+    }
+    if (!auth || auth.length !== 16) {
+      errors.push('keys.auth must be a base64url 16-byte secret');
+    }
+    return errors;
+  }
+
+  // Renewing a stored subscription is always allowed; new ones only below PUSH_MAX_SUBSCRIPTIONS
+  canSubscribe(endpoint) {
+    return this.subscriptions.has(endpoint) || this.subscriptions.size < this.maxSubscriptions;
+  }
+
+  async subscribe(subscription) {
+    const { endpoint, keys: { p256dh, auth } } = subscription;
+    const isNew = !this.subscriptions.has(endpoint);
+    this.subscriptions.set(endpoint, { endpoint, keys: { p256dh, auth }, createdAt: Date.now() });
+    await this.save();
+    return isNew;
+  }
+
+  async unsubscribe(endpoint) {
+    const removed = this.subscriptions.delete(endpoint);
+    if (removed) await this.save();
+    return removed;
+  }
+
+  // payload: { title, body, tag, url }; returns how many browsers it reached
+  async send(payload) {
+    if (!this.keys || this.subscriptions.size === 0) return 0;
+
+    const expired = [];
+    let delivered = 0;
+
+    await Promise.all(Array.from(this.subscriptions.values()).map(async subscription => {
+      try {
+        await webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: 24 * 60 * 60 });
+        delivered++;
+      } catch (error) {
+        // The browser unsubscribed or the subscription expired
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          expired.push(subscription.endpoint);
+        } else {
+          this.logger.warn('Web Push delivery failed:', error.message);
+        }
+      }
+    }));
+
+    if (expired.length > 0) {
+      expired.forEach(endpoint => this.subscriptions.delete(endpoint));
+      await this.save();
+      this.logger.info(`Removed ${expired.length} expired push subscriptions`);
+    }
+
+    return delivered;
+  }
+
+  getStatus() {
+    return {
+      subscriptions: this.subscriptions.size,
+      maxSubscriptions: this.maxSubscriptions,
+      publicKey: this.getPublicKey()
+    };
+  }
+}
+
+module.exports = { PushNotifier };
@@ -0,0 +1,115 @@
+const { getBucketStart, aggregatePoints } = require('./aggregation');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Tiers from finest to coarsest. Each tier is rolled up from the one before it,
+// and `maxAge` is how long it is kept (Infinity = forever).
+function loadRetentionPolicy() {
+  const days = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value * DAY : fallback;
+  };
+
+  return [
+    { interval: 'raw', maxAge: days('RETENTION_RAW_DAYS', 7 * DAY) },
+    { interval: '1h', maxAge: days('RETENTION_HOURLY_DAYS', 90 * DAY) },
+    { interval: '1d', maxAge: days('RETENTION_DAILY_DAYS', Infinity) }
+  ];
+}
+
+class RetentionManager {
+  constructor(storage, logger, policy = loadRetentionPolicy()) {
+    this.storage = storage;
+    this.logger = logger;
+    this.policy = policy;
+    this.lastCompaction = 0;
+    this.isCompacting = false;
+  }
+
+  // Finest tier whose retention window still reaches back to `from`
+  selectTier(from, now = Date.now()) {
+    const tier = this.policy.find(t => from >= now - t.maxAge);
+    return (tier || this.policy[this.policy.length - 1]).interval;
+  }
+
+  async compact(now = Date.now()) {
+    if (this.isCompacting) {
+      this.logger.warn('Compaction already in progress, skipping');
+      return;
+    }
+
+    this.isCompacting = true;
+    const startTime = Date.now();
+
+    try {
+      const symbols = await this.storage.getSymbols();
+      let pruned = 0;
+
+      for (const symbol of symbols) {
+        pruned += await this.compactSymbol(symbol, now);
+      }
+
+      this.lastCompaction = now;
+      this.logger.info(`Compaction completed for ${symbols.length} symbols, pruned ${pruned} rows in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      this.logger.error('Compaction failed:', error);
+    } finally {
+      this.isCompacting = false;
+    }
+  }
+
+  async compactSymbol(symbol, now) {
+    let pruned = 0;
+
+    // Write every rollup before pruning anything, so no tier loses data it has not handed on
+    for (let i = 1; i < this.policy.length; i++) {
+      const source = this.policy[i - 1].interval;
+      const target = this.policy[i].interval;
+
+      // Only complete buckets are rolled up; the current one is still filling
+      const end = getBucketStart(now, target) - 1;
+      const rows = source === 'raw'
+        ? await this.storage.query(symbol, { to: end })
+        : await this.storage.queryCandles(symbol, source, { to: end });
+
+      if (rows.length === 0) continue;
+
+      // A bucket whose source rows were partly trimmed (e.g. the JSON adapter's cap) must not
+      // overwrite the fuller candle written earlier
+      const existing = await this.storage.queryCandles(symbol, target, { from: getBucketStart(rows[0].timestamp, target), to: end });
+      const existingCounts = new Map(existing.map(candle => [candle.timestamp, candle.count]));
+      const candles = aggregatePoints(rows, { interval: target })
+        .filter(candle => candle.count >= (existingCounts.get(candle.timestamp) || 0));
+
+      if (candles.length > 0) {
+        await this.storage.upsertCandles(symbol, target, candles);
+      }
+    }
+
+    for (let i = 0; i < this.policy.length; i++) {
+      const tier = this.policy[i];
+      const next = this.policy[i + 1];
+      if (tier.maxAge === Infinity) continue;
+
+      // Prune on a bucket boundary of the next tier so a rollup is never recomputed from partial data
+      const cutoff = next ? getBucketStart(now - tier.maxAge, next.interval) : now - tier.maxAge;
+      pruned += tier.interval === 'raw'
+        ? await this.storage.deletePointsBefore(symbol, cutoff)
+        : await this.storage.deleteCandlesBefore(symbol, tier.interval, cutoff);
+    }
+
+    return pruned;
+  }
+
+  getStatus() {
+    return {
+      lastCompaction: this.lastCompaction,
+      tiers: this.policy.map(tier => ({
+        interval: tier.interval,
+        retentionDays: tier.maxAge === Infinity ? null : tier.maxAge / DAY
+      }))
+    };
+  }
+}
+
+module.exports = { RetentionManager, loadRetentionPolicy };
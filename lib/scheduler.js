@@ -0,0 +1,156 @@
+const cron = require('node-cron');
+const { CALENDARS, DEFAULT_TIMEZONE, isCalendarOpen, isValidTimezone } = require('./market-calendar');
+
+// Problems with a schedule override (empty when valid); every field is optional
+function validateSchedule(schedule) {
+  if (typeof schedule !== 'object' || schedule === null || Array.isArray(schedule)) {
+    return ['schedule must be an object'];
+  }
+
+  const errors = [];
+  if (schedule.cron !== undefined && !(typeof schedule.cron === 'string' && cron.validate(schedule.cron))) {
+    errors.push('schedule.cron must be a valid cron expression');
+  }
+  if (schedule.calendar !== undefined && !CALENDARS[schedule.calendar]) {
+    errors.push(`schedule.calendar must be one of: ${Object.keys(CALENDARS).join(', ')}`);
+  }
+  if (schedule.timezone !== undefined && !(typeof schedule.timezone === 'string' && isValidTimezone(schedule.timezone))) {
+    errors.push('schedule.timezone must be an IANA timezone, e.g. America/New_York');
+  }
+
+  return errors;
+}
+
+// Runs each collector on its own cadence, gated by its trading calendar. An item may override its
+// collector's schedule; items sharing a schedule are collected together in one job.
+class CollectionScheduler {
+  constructor(logger, collectors, run, timezone = process.env.SCHEDULE_TIMEZONE || DEFAULT_TIMEZONE) {
+    this.logger = logger;
+    this.collectors = collectors;
+    this.run = run;
+    this.timezone = timezone;
+    this.jobs = new Map();
+    // collector -> symbols being collected right now, by a scheduled job or a manual update
+    this.inFlight = new Map();
+  }
+
+  // Collector default, then the item's own overrides
+  getSchedule(collector, item) {
+    return {
+      timezone: this.timezone,
+      ...collector.schedule,
+      ...(item && item.schedule)
+    };
+  }
+
+  jobKey(name, schedule) {
+    return `${name}|${schedule.cron}|${schedule.calendar}|${schedule.timezone}`;
+  }
+
+  // Create jobs for new schedules and stop jobs nobody uses any more; call after items change
+  sync() {
+    const wanted = new Map();
+
+    Object.entries(this.collectors).forEach(([name, collector]) => {
+      Object.values(collector.items).forEach(item => {
+        const schedule = this.getSchedule(collector, item);
+        const key = this.jobKey(name, schedule);
+        if (!wanted.has(key)) wanted.set(key, { name, schedule });
+      });
+    });
+
+    this.jobs.forEach((job, key) => {
+      if (!wanted.has(key)) {
+        job.task.stop();
+        this.jobs.delete(key);
+      }
+    });
+
+    wanted.forEach(({ name, schedule }, key) => {
+      if (this.jobs.has(key)) return;
+
+      const job = { key, collector: name, schedule, running: false, lastRun: null, lastSkipped: null };
+      job.task = cron.schedule(schedule.cron, () => this.tick(job), { timezone: schedule.timezone });
+      this.jobs.set(key, job);
+      this.logger.info(`Scheduled ${name} at "${schedule.cron}" (${schedule.calendar}, ${schedule.timezone})`);
+    });
+  }
+
+  // Symbols of a collector whose effective schedule is this job's
+  getSymbols(job) {
+    const collector = this.collectors[job.collector];
+    return Object.values(collector.items)
+      .filter(item => this.jobKey(job.collector, this.getSchedule(collector, item)) === job.key)
+      .map(item => item.symbol);
+  }
+
+  async tick(job, now = new Date()) {
+    const { calendar, timezone } = job.schedule;
+    if (!isCalendarOpen(calendar, now, timezone)) {
+      job.lastSkipped = now.getTime();
+      return;
+    }
+    if (job.running) {
+      this.logger.warn(`${job.collector} is still collecting, skipping this run`);
+      return;
+    }
+
+    const symbols = this.getSymbols(job);
+    if (symbols.length === 0) return;
+
+    job.running = true;
+    try {
+      await this.collect(job.collector, symbols);
+      job.lastRun = now.getTime();
+    } catch (error) {
+      this.logger.error(`Scheduled ${job.collector} run failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  // Collects `symbols` (default: all of the collector's items) through `run`, leaving out items another
+  // run is still collecting. Resolves to the run's result, or null when every item was taken.
+  async collect(name, symbols = Object.keys(this.collectors[name].items)) {
+    const busy = this.inFlight.get(name) || new Set();
+    const free = symbols.filter(symbol => !busy.has(symbol));
+    if (free.length < symbols.length) {
+      this.logger.warn(`${name} is still collecting ${symbols.length - free.length} of these items, skipping them`);
+    }
+    if (free.length === 0) return null;
+
+    free.forEach(symbol => busy.add(symbol));
+    this.inFlight.set(name, busy);
+    try {
+      return await this.run(name, free);
+    } finally {
+      free.forEach(symbol => busy.delete(symbol));
+      if (busy.size === 0) this.inFlight.delete(name);
+    }
+  }
+
+  isCollecting() {
+    return this.inFlight.size > 0;
+  }
+
+  stop() {
+    this.jobs.forEach(job => job.task.stop());
+    this.jobs.clear();
+  }
+
+  getStatus(now = new Date()) {
+    return Array.from(this.jobs.values()).map(job => ({
+      collector: job.collector,
+      cron: job.schedule.cron,
+      calendar: job.schedule.calendar,
+      timezone: job.schedule.timezone,
+      open: isCalendarOpen(job.schedule.calendar, now, job.schedule.timezone),
+      symbols: this.getSymbols(job),
+      running: job.running,
+      lastRun: job.lastRun,
+      lastSkipped: job.lastSkipped
+    }));
+  }
+}
+
+module.exports = { CollectionScheduler, validateSchedule };
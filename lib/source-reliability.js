@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULTS = {
+  alpha: 0.1,           // weight of the newest observation in the rolling averages
+  priorWeight: 10,      // observations before the learned score outweighs the configured one
+  minScore: 0.01,       // never drop a source's weight to zero
+  historyHours: 7 * 24  // hourly score snapshots kept for the trend
+};
+
+// Learns how much to trust each source from how it has behaved: how often it answers at all,
+// and how far its quotes land from the consolidated price. The hard-coded reliability each
+// collector declares is only the starting point.
+class SourceReliability {
+  constructor(logger, filePath = process.env.SOURCE_RELIABILITY_PATH || './data/source-reliability.json', options = {}) {
+    this.logger = logger;
+    this.filePath = filePath;
+    this.options = { ...DEFAULTS, ...options };
+    this.sources = new Map();
+  }
+
+  async load() {
+    try {
+      if (!(await fs.pathExists(this.filePath))) return;
+
+      const { sources = [] } = await fs.readJson(this.filePath);
+      sources.forEach(entry => this.sources.set(this.key(entry.collector, entry.source), entry));
+      this.logger.info(`Loaded reliability scores for ${this.sources.size} sources`);
+    } catch (error) {
+      this.logger.warn('Failed to load source reliability scores:', error.message);
+    }
+  }
+
+  async save() {
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, { sources: Array.from(this.sources.values()) }, { spaces: 2 });
+  }
+
+  key(collector, source) {
+    return `${collector}/${source}`;
+  }
+
+  entry(collector, source, prior) {
+    const key = this.key(collector, source);
+    let entry = this.sources.get(key);
+
+    if (!entry) {
+      entry = {
+        collector,
+        source,
+        prior,
+        attempts: 0,
+        failures: 0,
+        timeouts: 0,
+        availability: 1,
+        quotes: 0,
+        error: 0,
+        lastSuccess: null,
+        lastFailure: null,
+        history: []
+      };
+      this.sources.set(key, entry);
+    }
+
+    // The declared weight may change between releases
+    entry.prior = prior;
+    return entry;
+  }
+
+  // Current weight for a source, falling back to `prior` until enough has been observed
+  getScore(collector, source, prior) {
+    const entry = this.sources.get(this.key(collector, source));
+    return entry ? this.score(entry) : prior;
+  }
+
+  score(entry) {
+    // Errors are relative to the collector's tolerance, so 1 means "off by a whole threshold"
+    const accuracy = Math.exp(-entry.error);
+    const observed = entry.availability * (entry.quotes > 0 ? accuracy : 1);
+    const weight = entry.attempts / (entry.attempts + this.options.priorWeight);
+    const score = weight * observed + (1 - weight) * entry.prior;
+
+    return Math.max(this.options.minScore, score);
+  }
+
+  // outcome: 'success', 'failure' (error or no price) or 'timeout'
+  recordAttempt(collector, source, prior, outcome, now = Date.now()) {
+    const entry = this.entry(collector, source, prior);
+    const { alpha } = this.options;
+
+    entry.attempts++;
+    entry.availability = (1 - alpha) * entry.availability + alpha * (outcome === 'success' ? 1 : 0);
+
+    if (outcome === 'success') {
+      entry.lastSuccess = now;
+    } else {
+      entry.lastFailure = now;
+      if (outcome === 'timeout') {
+        entry.timeouts++;
+      } else {
+        entry.failures++;
+      }
+    }
+
+    this.snapshot(entry, now);
+  }
+
+  // How far a quote landed from the price the collector settled on, in units of its tolerance
+  recordError(collector, source, prior, price, consolidatedPrice, tolerance) {
+    const entry = this.entry(collector, source, prior);
+    const relativeError = Math.abs(price - consolidatedPrice) / consolidatedPrice;
+    const normalized = Math.min(relativeError / tolerance, 10);
+    const { alpha } = this.options;
+
+    entry.error = entry.quotes === 0 ? normalized : (1 - alpha) * entry.error + alpha * normalized;
+    entry.quotes++;
+  }
+
+  // One score sample per hour, for the trend
+  snapshot(entry, now) {
+    const last = entry.history[entry.history.length - 1];
+    if (last && now - last.timestamp < HOUR) return;
+
+    entry.history.push({ timestamp: now, score: this.score(entry) });
+    if (entry.history.length > this.options.historyHours) {
+      entry.history.shift();
+    }
+  }
+
+  // Score change over the last day; negative means the source is decaying
+  trend(entry, now = Date.now()) {
+    const dayAgo = entry.history.find(sample => sample.timestamp >= now - 24 * HOUR);
+    return dayAgo ? this.score(entry) - dayAgo.score : 0;
+  }
+
+  getReport(now = Date.now()) {
+    return Array.from(this.sources.values())
+      .map(entry => {
+        const trend = this.trend(entry, now);
+        return {
+          collector: entry.collector,
+          source: entry.source,
+          score: this.score(entry),
+          prior: entry.prior,
+          availability: entry.availability,
+          meanError: entry.error,
+          attempts: entry.attempts,
+          failures: entry.failures,
+          timeouts: entry.timeouts,
+          failureRate: entry.attempts > 0 ? entry.failures / entry.attempts : 0,
+          timeoutRate: entry.attempts > 0 ? entry.timeouts / entry.attempts : 0,
+          lastSuccess: entry.lastSuccess,
+          lastFailure: entry.lastFailure,
+          trend,
+          direction: trend < -0.05 ? 'declining' : trend > 0.05 ? 'improving' : 'stable',
+          history: entry.history
+        };
+      })
+      .sort((a, b) => a.score - b.score);
+  }
+}
+
+module.exports = { SourceReliability };
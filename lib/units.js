@@ -0,0 +1,57 @@
+const { PRICE_FIELDS } = require('./fx');
+
+// Units an item can be priced per. `factor` is the unit's size in the reference unit of its dimension
+// (grams, litres, square metres, pieces); `metric` is the unit shown instead for units=metric.
+const UNITS = {
+  ozt: { dimension: 'mass', factor: 31.1034768, label: 'oz', metric: 'g' }, // troy ounce, used for metals
+  lb: { dimension: 'mass', factor: 453.59237, label: 'lb', metric: 'kg' },
+  g: { dimension: 'mass', factor: 1, label: 'g' },
+  kg: { dimension: 'mass', factor: 1000, label: 'kg' },
+  gal: { dimension: 'volume', factor: 3.785411784, label: 'gal', metric: 'l' }, // US gallon
+  l: { dimension: 'volume', factor: 1, label: 'L' },
+  sqft: { dimension: 'area', factor: 0.09290304, label: 'sqft', metric: 'm2' },
+  m2: { dimension: 'area', factor: 1, label: 'm²' },
+  each: { dimension: 'count', factor: 1, label: 'each' },
+  dozen: { dimension: 'count', factor: 12, label: 'dozen' }
+};
+
+// Price per `from` unit as a price per `to` unit, or null when the two measure different things
+function convertUnitPrice(price, from, to) {
+  if (from === to) return price;
+  if (!UNITS[from] || !UNITS[to] || UNITS[from].dimension !== UNITS[to].dimension) return null;
+  return price * UNITS[to].factor / UNITS[from].factor;
+}
+
+// A units= preference is "metric" or a list of unit codes ("kg,l"), each replacing the units of its dimension
+function validateUnitPreference(preference) {
+  if (typeof preference !== 'string') return ['units must be given once, as metric or a comma-separated list of units'];
+  if (preference === 'metric') return [];
+
+  return preference.split(',')
+    .filter(code => !UNITS[code])
+    .map(code => `unknown unit ${code}, expected metric or one of: ${Object.keys(UNITS).join(', ')}`);
+}
+
+// The unit an item priced per `unit` is shown in under a (validated) preference
+function getDisplayUnit(unit, preference) {
+  if (!preference || !UNITS[unit]) return unit;
+  if (preference === 'metric') return UNITS[unit].metric || unit;
+
+  const choice = preference.split(',').find(code => UNITS[code].dimension === UNITS[unit].dimension);
+  return choice || unit;
+}
+
+function convertPointUnits(points, from, to) {
+  const factor = convertUnitPrice(1, from, to);
+  if (factor === 1) return points;
+
+  return points.map(point => {
+    const converted = { ...point };
+    PRICE_FIELDS.forEach(field => {
+      if (typeof point[field] === 'number') converted[field] = point[field] * factor;
+    });
+    return converted;
+  });
+}
+
+module.exports = { UNITS, convertUnitPrice, validateUnitPreference, getDisplayUnit, convertPointUnits };
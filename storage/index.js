@@ -0,0 +1,32 @@
+const SqliteStorage = require('./sqlite-storage');
+const JsonStorage = require('./json-storage');
+
+// Build the configured storage adapter, falling back to the JSON file when SQLite is unavailable
+async function createStorage(logger) {
+  const adapter = (process.env.STORAGE_ADAPTER || 'sqlite').toLowerCase();
+  const jsonOptions = {
+    filePath: process.env.JSON_STORAGE_PATH || './data/historical-data.json',
+    candlesFilePath: process.env.JSON_CANDLES_PATH || './data/historical-candles.json',
+    maxPointsPerSymbol: parseInt(process.env.MAX_DATA_POINTS_PER_SYMBOL, 10) || 1000
+  };
+
+  if (adapter === 'sqlite') {
+    const storage = new SqliteStorage(logger, {
+      filePath: process.env.SQLITE_STORAGE_PATH || './data/price-history.db',
+      legacyJsonPath: jsonOptions.filePath
+    });
+
+    try {
+      await storage.init();
+      return storage;
+    } catch (error) {
+      logger.warn('SQLite storage unavailable, falling back to JSON file:', error.message);
+    }
+  }
+
+  const storage = new JsonStorage(logger, jsonOptions);
+  await storage.init();
+  return storage;
+}
+
+module.exports = { createStorage, SqliteStorage, JsonStorage };
@@ -0,0 +1,124 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+class JsonStorage {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.name = 'json';
+    this.filePath = options.filePath || './data/historical-data.json';
+    this.candlesFilePath = options.candlesFilePath || './data/historical-candles.json';
+    this.maxPointsPerSymbol = options.maxPointsPerSymbol || 1000;
+    this.history = new Map();
+    // interval -> symbol -> candles sorted by timestamp
+    this.candles = {};
+  }
+
+  async init() {
+    if (await fs.pathExists(this.filePath)) {
+      const data = await fs.readJson(this.filePath);
+
+      Object.entries(data).forEach(([symbol, history]) => {
+        this.history.set(symbol, history);
+      });
+    }
+
+    if (await fs.pathExists(this.candlesFilePath)) {
+      this.candles = await fs.readJson(this.candlesFilePath);
+    }
+  }
+
+  async getSymbols() {
+    const symbols = new Set(this.history.keys());
+    Object.values(this.candles).forEach(bySymbol => {
+      Object.keys(bySymbol).forEach(symbol => symbols.add(symbol));
+    });
+    return Array.from(symbols);
+  }
+
+  async getLatest(symbol) {
+    const history = this.history.get(symbol) || [];
+    return history.length > 0 ? history[history.length - 1] : null;
+  }
+
+  // Earliest time with history in any tier, or null
+  async getFirstTimestamp(symbol) {
+    const firsts = [this.history.get(symbol) || [], ...Object.values(this.candles).map(bySymbol => bySymbol[symbol] || [])]
+      .filter(rows => rows.length > 0)
+      .map(rows => rows[0].timestamp);
+    return firsts.length > 0 ? Math.min(...firsts) : null;
+  }
+
+  async append(symbol, point) {
+    if (!this.history.has(symbol)) {
+      this.history.set(symbol, []);
+    }
+
+    const history = this.history.get(symbol);
+    // Imported history can be older than what is stored; keep the list time-ordered
+    let index = history.length;
+    while (index > 0 && history[index - 1].timestamp > point.timestamp) index--;
+    history.splice(index, 0, point);
+
+    // The whole file is rewritten on every flush, so cap what we keep
+    if (history.length > this.maxPointsPerSymbol) {
+      history.splice(0, history.length - this.maxPointsPerSymbol);
+    }
+  }
+
+  async query(symbol, { from = 0, to = Infinity, provenance = false } = {}) {
+    const history = this.history.get(symbol) || [];
+    const points = history.filter(point => point.timestamp >= from && point.timestamp <= to);
+    if (provenance) return points;
+
+    return points.map(({ provenance: omitted, ...point }) => point);
+  }
+
+  async deletePointsBefore(symbol, timestamp) {
+    const history = this.history.get(symbol) || [];
+    const kept = history.filter(point => point.timestamp >= timestamp);
+    this.history.set(symbol, kept);
+    return history.length - kept.length;
+  }
+
+  async upsertCandles(symbol, interval, candles) {
+    if (!this.candles[interval]) this.candles[interval] = {};
+
+    const byTimestamp = new Map((this.candles[interval][symbol] || []).map(candle => [candle.timestamp, candle]));
+    candles.forEach(({ timestamp, open, high, low, close, mean, count, verifiedRatio, source }) => {
+      byTimestamp.set(timestamp, { timestamp, open, high, low, close, mean, count, verifiedRatio, ...(source ? { source } : {}) });
+    });
+
+    this.candles[interval][symbol] = Array.from(byTimestamp.values())
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async queryCandles(symbol, interval, { from = 0, to = Infinity } = {}) {
+    const candles = (this.candles[interval] && this.candles[interval][symbol]) || [];
+    return candles.filter(candle => candle.timestamp >= from && candle.timestamp <= to);
+  }
+
+  async deleteCandlesBefore(symbol, interval, timestamp) {
+    const candles = (this.candles[interval] && this.candles[interval][symbol]) || [];
+    const kept = candles.filter(candle => candle.timestamp >= timestamp);
+    if (this.candles[interval]) this.candles[interval][symbol] = kept;
+    return candles.length - kept.length;
+  }
+
+  async flush() {
+    await fs.ensureDir(path.dirname(this.filePath));
+
+    const dataToSave = {};
+    this.history.forEach((history, symbol) => {
+      dataToSave[symbol] = history;
+    });
+
+    await fs.writeJson(this.filePath, dataToSave, { spaces: 2 });
+    await fs.writeJson(this.candlesFilePath, this.candles, { spaces: 2 });
+  }
+
+  async close() {
+    // Nothing to release; data reaches disk through flush()
+  }
+}
+
+module.exports = JsonStorage;
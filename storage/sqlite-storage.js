@@ -0,0 +1,229 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+class SqliteStorage {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.name = 'sqlite';
+    this.filePath = options.filePath || './data/price-history.db';
+    this.legacyJsonPath = options.legacyJsonPath || './data/historical-data.json';
+    this.db = null;
+  }
+
+  async init() {
+    // Loaded lazily so the JSON adapter still works when the native module is missing
+    const Database = require('better-sqlite3');
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS price_points (
+        symbol TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        price REAL NOT NULL,
+        source TEXT,
+        verified INTEGER NOT NULL DEFAULT 0,
+        provenance TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_price_points_symbol_timestamp
+        ON price_points (symbol, timestamp);
+      CREATE TABLE IF NOT EXISTS price_candles (
+        symbol TEXT NOT NULL,
+        interval TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        open REAL NOT NULL,
+        high REAL NOT NULL,
+        low REAL NOT NULL,
+        close REAL NOT NULL,
+        mean REAL NOT NULL,
+        count INTEGER NOT NULL,
+        verified_ratio REAL NOT NULL,
+        source TEXT,
+        PRIMARY KEY (symbol, interval, timestamp)
+      );
+    `);
+
+    // Databases created before per-source provenance was stored lack the column
+    const columns = this.db.prepare('PRAGMA table_info(price_points)').all().map(column => column.name);
+    if (!columns.includes('provenance')) {
+      this.db.exec('ALTER TABLE price_points ADD COLUMN provenance TEXT');
+    }
+    // ... and candles before backfilled ones were marked with their source
+    const candleColumns = this.db.prepare('PRAGMA table_info(price_candles)').all().map(column => column.name);
+    if (!candleColumns.includes('source')) {
+      this.db.exec('ALTER TABLE price_candles ADD COLUMN source TEXT');
+    }
+
+    this.statements = {
+      insert: this.db.prepare(`
+        INSERT INTO price_points (symbol, timestamp, price, source, verified, provenance)
+        VALUES (@symbol, @timestamp, @price, @source, @verified, @provenance)
+      `),
+      symbols: this.db.prepare('SELECT symbol FROM price_points UNION SELECT symbol FROM price_candles'),
+      latest: this.db.prepare(`
+        SELECT timestamp, price, source, verified FROM price_points
+        WHERE symbol = ? ORDER BY timestamp DESC LIMIT 1
+      `),
+      range: this.db.prepare(`
+        SELECT timestamp, price, source, verified FROM price_points
+        WHERE symbol = ? AND timestamp >= ? AND timestamp <= ?
+        ORDER BY timestamp ASC
+      `),
+      rangeWithProvenance: this.db.prepare(`
+        SELECT timestamp, price, source, verified, provenance FROM price_points
+        WHERE symbol = ? AND timestamp >= ? AND timestamp <= ?
+        ORDER BY timestamp ASC
+      `),
+      first: this.db.prepare(`
+        SELECT MIN(timestamp) AS timestamp FROM (
+          SELECT MIN(timestamp) AS timestamp FROM price_points WHERE symbol = @symbol
+          UNION ALL
+          SELECT MIN(timestamp) AS timestamp FROM price_candles WHERE symbol = @symbol
+        )
+      `),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM price_points'),
+      deletePoints: this.db.prepare('DELETE FROM price_points WHERE symbol = ? AND timestamp < ?'),
+      upsertCandle: this.db.prepare(`
+        INSERT OR REPLACE INTO price_candles
+          (symbol, interval, timestamp, open, high, low, close, mean, count, verified_ratio, source)
+        VALUES (@symbol, @interval, @timestamp, @open, @high, @low, @close, @mean, @count, @verifiedRatio, @source)
+      `),
+      candleRange: this.db.prepare(`
+        SELECT timestamp, open, high, low, close, mean, count, verified_ratio, source FROM price_candles
+        WHERE symbol = ? AND interval = ? AND timestamp >= ? AND timestamp <= ?
+        ORDER BY timestamp ASC
+      `),
+      deleteCandles: this.db.prepare('DELETE FROM price_candles WHERE symbol = ? AND interval = ? AND timestamp < ?')
+    };
+
+    await this.importLegacyJson();
+  }
+
+  // Seed an empty database from the old historical-data.json so upgrading keeps history
+  async importLegacyJson() {
+    if (this.statements.count.get().count > 0) return;
+    if (!(await fs.pathExists(this.legacyJsonPath))) return;
+
+    const data = await fs.readJson(this.legacyJsonPath);
+    let imported = 0;
+
+    const importAll = this.db.transaction(() => {
+      Object.entries(data).forEach(([symbol, history]) => {
+        history.forEach(point => {
+          this.statements.insert.run(this.toRow(symbol, point));
+          imported++;
+        });
+      });
+    });
+    importAll();
+
+    this.logger.info(`Imported ${imported} data points from ${this.legacyJsonPath}`);
+  }
+
+  toRow(symbol, point) {
+    return {
+      symbol,
+      timestamp: point.timestamp,
+      price: point.price,
+      source: point.source || null,
+      verified: point.verified ? 1 : 0,
+      provenance: point.provenance ? JSON.stringify(point.provenance) : null
+    };
+  }
+
+  fromRow(row) {
+    const point = {
+      price: row.price,
+      timestamp: row.timestamp,
+      source: row.source,
+      verified: row.verified === 1
+    };
+
+    if (row.provenance !== undefined) {
+      point.provenance = row.provenance ? JSON.parse(row.provenance) : null;
+    }
+
+    return point;
+  }
+
+  async getSymbols() {
+    return this.statements.symbols.all().map(row => row.symbol);
+  }
+
+  async getLatest(symbol) {
+    const row = this.statements.latest.get(symbol);
+    return row ? this.fromRow(row) : null;
+  }
+
+  // Earliest time with history in any tier, or null
+  async getFirstTimestamp(symbol) {
+    return this.statements.first.get({ symbol }).timestamp;
+  }
+
+  async append(symbol, point) {
+    this.statements.insert.run(this.toRow(symbol, point));
+  }
+
+  async query(symbol, { from = 0, to = Number.MAX_SAFE_INTEGER, provenance = false } = {}) {
+    const statement = provenance ? this.statements.rangeWithProvenance : this.statements.range;
+    return statement.all(symbol, from, to).map(row => this.fromRow(row));
+  }
+
+  async deletePointsBefore(symbol, timestamp) {
+    return this.statements.deletePoints.run(symbol, timestamp).changes;
+  }
+
+  async upsertCandles(symbol, interval, candles) {
+    const upsertAll = this.db.transaction(() => {
+      candles.forEach(candle => {
+        this.statements.upsertCandle.run({
+          symbol,
+          interval,
+          timestamp: candle.timestamp,
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          mean: candle.mean,
+          count: candle.count,
+          verifiedRatio: candle.verifiedRatio,
+          source: candle.source || null
+        });
+      });
+    });
+    upsertAll();
+  }
+
+  async queryCandles(symbol, interval, { from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+    return this.statements.candleRange.all(symbol, interval, from, to).map(row => ({
+      timestamp: row.timestamp,
+      open: row.open,
+      high: row.high,
+      low: row.low,
+      close: row.close,
+      mean: row.mean,
+      count: row.count,
+      verifiedRatio: row.verified_ratio,
+      ...(row.source ? { source: row.source } : {})
+    }));
+  }
+
+  async deleteCandlesBefore(symbol, interval, timestamp) {
+    return this.statements.deleteCandles.run(symbol, interval, timestamp).changes;
+  }
+
+  async flush() {
+    // Every append is already committed
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteStorage;
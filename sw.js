@@ -0,0 +1,22 @@
+// Service worker for the price tracker dashboard: shows the agent's Web Push notifications
+// (price alerts, "data collected while you were away") even when no tab is open.
+
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+
+    event.waitUntil(self.registration.showNotification(data.title || 'Universal Price Tracker', {
+        body: data.body || '',
+        tag: data.tag,
+        data: { url: data.url || './price-tracker-historical.html' }
+    }));
+});
+
+// Focus an open dashboard, or open one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const open = windows.find(client => 'focus' in client);
+        return open ? open.focus() : self.clients.openWindow(event.notification.data.url);
+    }));
+});
@@ -0,0 +1,197 @@
+const http = require('http');
+const chalk = require('chalk');
+const WebSocket = require('ws');
+
+// Test script for the Binance live stream (lib/binance-stream.js) against a local mock of the
+// exchange: a WebSocket server sends trades, an HTTP server answers the REST klines requests.
+// Runs offline: node test-binance-stream.js
+
+const MINUTE = 60 * 1000;
+const SYMBOL = 'BTCUSDT';
+
+const logger = { info() {}, warn() {}, error: console.error };
+
+function trade(price, quantity, timestamp) {
+  return JSON.stringify({
+    stream: `${SYMBOL.toLowerCase()}@trade`,
+    data: { e: 'trade', E: timestamp, s: SYMBOL, p: String(price), q: String(quantity), T: timestamp }
+  });
+}
+
+// A 1-minute kline as /api/v3/klines returns it
+function kline(openTime) {
+  const base = 60000 + (openTime / MINUTE) % 100;
+  return [openTime, String(base), String(base + 5), String(base - 5), String(base + 1), '2.5', openTime + MINUTE - 1, '0', 42, '0', '0', '0'];
+}
+
+// Resolves once `check()` returns something truthy, or rejects after `ms`
+function waitFor(check, ms, what) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      const value = check();
+      if (value) return resolve(value);
+      if (Date.now() - started > ms) return reject(new Error(`Timed out waiting for ${what}`));
+      setTimeout(poll, 20);
+    };
+    poll();
+  });
+}
+
+async function startMockExchange() {
+  const klineRequests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/api/v3/klines') {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const startTime = Number(url.searchParams.get('startTime'));
+    const endTime = Number(url.searchParams.get('endTime'));
+    klineRequests.push({ symbol: url.searchParams.get('symbol'), interval: url.searchParams.get('interval'), startTime, endTime });
+
+    const klines = [];
+    for (let openTime = Math.ceil(startTime / MINUTE) * MINUTE; openTime <= endTime; openTime += MINUTE) {
+      klines.push(kline(openTime));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(klines));
+  });
+
+  const wss = new WebSocket.Server({ server });
+  const connections = [];
+  wss.on('connection', (socket, req) => connections.push({ socket, url: req.url }));
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    wsUrl: `ws://127.0.0.1:${port}`,
+    restUrl: `http://127.0.0.1:${port}`,
+    connections,
+    klineRequests,
+    close: () => new Promise(resolve => {
+      wss.clients.forEach(client => client.terminate());
+      wss.close(() => server.close(resolve));
+    })
+  };
+}
+
+async function testBinanceStream() {
+  console.log(chalk.blue.bold('\n🧪 Binance Stream - Mock Exchange Test\n'));
+
+  const exchange = await startMockExchange();
+  process.env.BINANCE_WS_URL = exchange.wsUrl;
+  process.env.BINANCE_REST_URL = exchange.restUrl;
+  // The defaults are read when the module loads, so it is required after the URLs are set
+  const { BinanceStream } = require('./lib/binance-stream');
+  const { HttpClient } = require('./lib/http-client');
+
+  const candles = [];
+  const prices = [];
+  const stream = new BinanceStream(logger, new HttpClient({ maxRetries: 0 }), {
+    onPrice: (symbol, price, timestamp) => prices.push({ symbol, price, timestamp }),
+    onCandle: (symbol, candle) => candles.push({ symbol, ...candle })
+  }, { minReconnectDelay: 100, priceInterval: 0 });
+
+  let testsPass = 0;
+  let totalTests = 0;
+  const check = (description, passed, detail) => {
+    totalTests++;
+    if (passed) {
+      testsPass++;
+      console.log(chalk.green(`   ✅ ${description}`));
+    } else {
+      console.log(chalk.red(`   ❌ ${description}`));
+      if (detail) console.log(chalk.gray(`   ${detail}`));
+    }
+  };
+
+  try {
+    // Test 1: subscription
+    console.log(chalk.yellow('1. Connecting to the mock stream...'));
+    stream.start([SYMBOL]);
+    const first = await waitFor(() => exchange.connections[0], 5000, 'the stream to connect');
+    await waitFor(() => stream.connected, 5000, 'the open event');
+    check('Subscribed to the combined trade stream', first.url === `/stream?streams=${SYMBOL.toLowerCase()}@trade`, `requested ${first.url}`);
+
+    // Test 2: trades of one minute roll up into a candle once a trade of the next minute arrives.
+    // The minutes are in the past so the wall clock cannot close them in between.
+    console.log(chalk.yellow('\n2. Rolling trades up into a 1-minute candle...'));
+    const minute = Math.floor(Date.now() / MINUTE) * MINUTE - 3 * MINUTE;
+    [[100, 1, 5], [105, 0.5, 20], [98, 2, 40], [102, 0.25, 59000]].forEach(([price, quantity, offset]) => {
+      first.socket.send(trade(price, quantity, minute + offset));
+    });
+    first.socket.send(trade(103, 1, minute + MINUTE + 1000));
+
+    const rolled = await waitFor(() => candles.find(candle => candle.timestamp === minute), 5000, 'the first candle');
+    const expected = { open: 100, high: 105, low: 98, close: 102, volume: 3.75, trades: 4, backfilled: false };
+    const mismatched = Object.keys(expected).filter(field => rolled[field] !== expected[field]);
+    check('Candle has the open, high, low, close, volume and trade count of its trades', mismatched.length === 0,
+      `got ${JSON.stringify(rolled)}`);
+    check('Live price follows the last trade', prices.length > 0 && prices[prices.length - 1].price === 103);
+
+    // Test 3: after a dropped connection the missed minutes come from the REST klines endpoint
+    console.log(chalk.yellow('\n3. Reconnecting and backfilling the gap...'));
+    first.socket.terminate();
+    const second = await waitFor(() => exchange.connections[1], 5000, 'the stream to reconnect');
+    const request = await waitFor(() => exchange.klineRequests[0], 5000, 'the klines request');
+    const currentMinute = Math.floor(Date.now() / MINUTE) * MINUTE;
+
+    check('Reconnected with the same subscription', second.url === first.url && stream.getStatus().reconnects === 1);
+    // The candle dropped with the connection (minute + 1) is the first one fetched again
+    check('Klines requested from the minute after the last closed candle',
+      request.symbol === SYMBOL && request.interval === '1m' && request.startTime === minute + MINUTE && request.endTime < currentMinute + MINUTE,
+      `requested ${JSON.stringify(request)}`);
+
+    const requestedMinutes = [];
+    for (let openTime = request.startTime; openTime <= request.endTime; openTime += MINUTE) requestedMinutes.push(openTime);
+    await waitFor(() => candles.filter(candle => candle.backfilled).length >= requestedMinutes.length, 5000, 'the backfilled candles');
+
+    const backfilled = candles.filter(candle => candle.backfilled);
+    check('Every missed minute was backfilled once, in order',
+      JSON.stringify(backfilled.map(candle => candle.timestamp)) === JSON.stringify(requestedMinutes),
+      `got ${backfilled.map(candle => new Date(candle.timestamp).toISOString()).join(', ')}`);
+
+    const sample = kline(requestedMinutes[0]);
+    check('Backfilled candles carry the kline prices',
+      backfilled[0].open === parseFloat(sample[1]) && backfilled[0].high === parseFloat(sample[2]) && backfilled[0].low === parseFloat(sample[3]) &&
+      backfilled[0].close === parseFloat(sample[4]) && backfilled[0].volume === 2.5 && backfilled[0].trades === 42);
+
+    // Test 4: a late trade for a backfilled minute must not reopen it
+    console.log(chalk.yellow('\n4. Ignoring late trades for backfilled minutes...'));
+    const before = candles.length;
+    second.socket.send(trade(1, 1, requestedMinutes[requestedMinutes.length - 1] + 1000));
+    second.socket.send(trade(104, 1, Date.now()));
+    await waitFor(() => prices.length > 0 && prices[prices.length - 1].price === 104, 5000, 'the live trade');
+    stream.tick(Math.floor(Date.now() / MINUTE) * MINUTE + MINUTE);
+    const after = candles.slice(before);
+    check('Only the live minute was closed', after.length === 1 && after[0].open === 104, `got ${JSON.stringify(after)}`);
+  } finally {
+    stream.stop();
+    await exchange.close();
+  }
+
+  console.log(chalk.blue.bold('\n📋 Test Results Summary'));
+  console.log(chalk.gray('='.repeat(50)));
+  if (testsPass === totalTests) {
+    console.log(chalk.green.bold(`🎉 All tests passed! (${testsPass}/${totalTests})`));
+  } else {
+    console.log(chalk.red.bold(`❌ Issues detected (${testsPass}/${totalTests} tests passed)`));
+  }
+  console.log(chalk.gray('='.repeat(50) + '\n'));
+
+  return testsPass === totalTests;
+}
+
+if (require.main === module) {
+  testBinanceStream().then(passed => {
+    process.exit(passed ? 0 : 1);
+  }).catch(error => {
+    console.error(chalk.red('\n💥 Test script failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testBinanceStream;
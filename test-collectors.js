@@ -0,0 +1,145 @@
+const chalk = require('chalk');
+const MetalsCollector = require('./collectors/metals-collector');
+const StockCollector = require('./collectors/stock-collector');
+const LuxuryCollector = require('./collectors/luxury-collector');
+const { HttpClient } = require('./lib/http-client');
+const { items } = require('./config/items.json');
+
+// Test script for the collectors' parsing and validation, run offline: each collector's shared HTTP
+// client is swapped for a stub that answers with canned pages.
+// Run: node test-collectors.js
+
+const logger = { info() {}, warn() {}, error() {} };
+
+function getItem(symbol) {
+  return items.find(item => item.symbol === symbol);
+}
+
+// Stands in for lib/http-client.js; `respond(url)` returns the response body, or throws
+function stubHttp(respond) {
+  return {
+    requests: [],
+    async get(url, config = {}) {
+      this.requests.push(url);
+      return { status: 200, headers: {}, data: await respond(url, config) };
+    }
+  };
+}
+
+async function testGoldAboveOldRange(check) {
+  console.log(chalk.yellow('1. Gold quotes above the old $5,000 cut-off...'));
+  const gold = getItem('XAU');
+  const collector = new MetalsCollector(logger, [gold]);
+  collector.http = stubHttp(url => {
+    if (url.startsWith('https://goldprice.org/')) return '<span data-price-usd="5,234.10">$5,234.10</span>';
+    if (url.startsWith('https://www.apmex.com/')) return '<div class="spot-price">$5,230.00</div>';
+    throw new Error(`unexpected request ${url}`);
+  });
+
+  check('GoldPrice.org quote within the item\'s sanity range is kept', await collector.scrapeGoldPriceOrg(gold.sanityRange) === 5234.1);
+
+  const result = await collector.collectItem(gold.symbol, gold);
+  const sources = (result.quotes || []).map(quote => quote.source).sort();
+  check('Both scraped sources reach consolidation', result.success && JSON.stringify(sources) === JSON.stringify(['APMEX', 'GoldPrice.org']),
+    `got ${JSON.stringify(result)}`);
+
+  collector.http = stubHttp(() => '<span data-price-usd="12,500.00">$12,500.00</span>');
+  check('Quote outside the sanity range is still dropped', await collector.scrapeGoldPriceOrg(gold.sanityRange) === null);
+}
+
+// A real HTTP client (rate limits, no retries) whose transport answers every request with `status`
+function httpAnswering(status, body = '') {
+  const requests = [];
+  const client = new HttpClient({
+    maxRetries: 0,
+    transport: {
+      async get(url) {
+        requests.push(url);
+        if (status >= 200 && status < 300) return { status, headers: {}, data: body };
+
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = { status, headers: {}, data: body };
+        throw error;
+      }
+    }
+  });
+  return { client, requests };
+}
+
+async function collectCycles(collector, item, cycles) {
+  for (let cycle = 0; cycle < cycles; cycle++) {
+    await collector.collectItem(item.symbol, item);
+  }
+}
+
+async function testBreakersOpenWhenBlocked(check) {
+  console.log(chalk.yellow('\n2. Circuit breakers of scraped sources that keep refusing...'));
+  const spy = getItem('SPY');
+
+  const limited = new StockCollector(logger, [spy]);
+  const rateLimited = httpAnswering(429);
+  limited.http = rateLimited.client;
+  await collectCycles(limited, spy, 8);
+
+  ['Yahoo Finance', 'MarketWatch'].forEach(source => {
+    const status = limited.getBreaker(source).getStatus();
+    check(`${source} breaker opens after repeated 429s`, status.state === 'open' && status.consecutiveFailures === limited.policy.breakerThreshold,
+      `got ${JSON.stringify(status)}`);
+  });
+  check('Open breakers stop the requests', rateLimited.requests.length === 2 * limited.policy.breakerThreshold,
+    `${rateLimited.requests.length} requests`);
+
+  const watch = getItem('ROLEX-SUB');
+  const blocked = new LuxuryCollector(logger, [watch]);
+  blocked.http = httpAnswering(403).client;
+  await collectCycles(blocked, watch, 8);
+  check('Chrono24 breaker opens after repeated 403s', blocked.getBreaker('Chrono24').getStatus().state === 'open');
+
+  // A page that loads but has no price is the item's problem, not the source's
+  const unreadable = new StockCollector(logger, [spy]);
+  unreadable.http = httpAnswering(200, '<html><body>No quote here</body></html>').client;
+  await collectCycles(unreadable, spy, 8);
+  check('Pages without a price leave the breaker closed', unreadable.getBreaker('Yahoo Finance').getStatus().state === 'closed');
+}
+
+async function testCollectors() {
+  console.log(chalk.blue.bold('\n🧪 Collectors - Offline Test\n'));
+
+  let testsPass = 0;
+  let totalTests = 0;
+  const check = (description, passed, detail) => {
+    totalTests++;
+    if (passed) {
+      testsPass++;
+      console.log(chalk.green(`   ✅ ${description}`));
+    } else {
+      console.log(chalk.red(`   ❌ ${description}`));
+      if (detail) console.log(chalk.gray(`   ${detail}`));
+    }
+  };
+
+  await testGoldAboveOldRange(check);
+  await testBreakersOpenWhenBlocked(check);
+
+  console.log(chalk.blue.bold('\n📋 Test Results Summary'));
+  console.log(chalk.gray('='.repeat(50)));
+  if (testsPass === totalTests) {
+    console.log(chalk.green.bold(`🎉 All tests passed! (${testsPass}/${totalTests})`));
+  } else {
+    console.log(chalk.red.bold(`❌ Issues detected (${testsPass}/${totalTests} tests passed)`));
+  }
+  console.log(chalk.gray('='.repeat(50) + '\n'));
+
+  return testsPass === totalTests;
+}
+
+if (require.main === module) {
+  testCollectors().then(passed => {
+    process.exit(passed ? 0 : 1);
+  }).catch(error => {
+    console.error(chalk.red('\n💥 Test script failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = testCollectors;